@@ -0,0 +1,76 @@
+// access-keys.js - Permisos (scopes), expiración y lista de IPs de los access keys de la extensión
+
+const net = require('net');
+
+const EXTENSION_KEY_SCOPES = [
+  'orders:read',
+  'fulfillments:write',
+  'sender_config:read',
+  'sender_config:write',
+  'shipments:read',
+  'shipments:write',
+  'manifests:read',
+  'manifests:write'
+];
+
+// Keys de solo lectura (ej: la computadora de la estación de empaque)
+const READ_ONLY_SCOPES = EXTENSION_KEY_SCOPES.filter(scope => scope.endsWith(':read'));
+
+// Los keys creados antes de los scopes (scopes = null) conservan acceso completo
+function hasScope(keyData, scope) {
+  return !keyData.scopes || keyData.scopes.includes(scope);
+}
+
+function isExpired(keyData, now = new Date()) {
+  return Boolean(keyData.expiresAt) && new Date(keyData.expiresAt) <= now;
+}
+
+// '::ffff:10.0.0.1' → '10.0.0.1'
+function normalizeIp(ip) {
+  const value = String(ip || '').trim();
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+// Entrada de la lista: IP exacta o rango CIDR (IPv4 o IPv6). Devuelve null si es inválida.
+function parseIpRule(rule) {
+  const [address, prefix, ...rest] = String(rule || '').trim().split('/');
+  const family = net.isIP(address);
+
+  if (!family || rest.length > 0) return null;
+  if (prefix === undefined) return { address, family };
+
+  const bits = Number(prefix);
+  const maxBits = family === 4 ? 32 : 128;
+  if (!/^\d+$/.test(prefix) || bits > maxBits) return null;
+
+  return { address, family, prefix: bits };
+}
+
+function isIpAllowed(keyData, ip) {
+  if (!keyData.allowedIps || keyData.allowedIps.length === 0) return true;
+
+  const clientIp = normalizeIp(ip);
+  const family = net.isIP(clientIp);
+  if (!family) return false;
+
+  const blockList = new net.BlockList();
+  for (const rule of keyData.allowedIps.map(parseIpRule).filter(Boolean)) {
+    const type = rule.family === 4 ? 'ipv4' : 'ipv6';
+    if (rule.prefix === undefined) {
+      blockList.addAddress(rule.address, type);
+    } else {
+      blockList.addSubnet(rule.address, rule.prefix, type);
+    }
+  }
+
+  return blockList.check(clientIp, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+module.exports = {
+  EXTENSION_KEY_SCOPES,
+  READ_ONLY_SCOPES,
+  hasScope,
+  isExpired,
+  parseIpRule,
+  isIpAllowed
+};
@@ -0,0 +1,212 @@
+// catalog.js - Catálogo de provincias, cantones y distritos de Costa Rica con códigos postales
+
+const catalog = require('./data/cr-catalog.json');
+
+// Confianza mínima para usar una ubicación inferida sin revisión manual
+const INFERENCE_THRESHOLD = 0.6;
+
+// Códigos de provincia que usa Shopify (ISO 3166-2:CR)
+const SHOPIFY_PROVINCE_CODES = {
+  SJ: '1', A: '2', C: '3', H: '4', G: '5', P: '6', L: '7'
+};
+
+// Normalizar texto para comparar sin tildes ni mayúsculas
+function normalizeText(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .trim();
+}
+
+function escapeRegExp(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Los IDs llegan como '1', '01' o 1 según quién los mande; se normalizan a '1'
+function normalizeId(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = parseInt(value, 10);
+  return Number.isNaN(number) ? null : String(number);
+}
+
+// Índices para búsquedas directas
+const provincesById = new Map();
+const cantonsByKey = new Map();
+const districtsByKey = new Map();
+const districtsByPostalCode = new Map();
+
+for (const province of catalog.provinces) {
+  provincesById.set(province.id, province);
+
+  for (const canton of province.cantons) {
+    cantonsByKey.set(`${province.id}-${canton.id}`, canton);
+
+    for (const district of canton.districts) {
+      const location = { province, canton, district };
+      districtsByKey.set(`${province.id}-${canton.id}-${district.id}`, location);
+      districtsByPostalCode.set(district.postal_code, location);
+    }
+  }
+}
+
+function getCatalogVersion() {
+  return catalog.version;
+}
+
+function listProvinces() {
+  return catalog.provinces.map(({ id, name }) => ({ id, name }));
+}
+
+function getProvince(provinceId) {
+  return provincesById.get(normalizeId(provinceId)) || null;
+}
+
+function listCantons(provinceId) {
+  const province = getProvince(provinceId);
+  return province ? province.cantons.map(({ id, name }) => ({ id, name })) : null;
+}
+
+function getCanton(provinceId, cantonId) {
+  return cantonsByKey.get(`${normalizeId(provinceId)}-${normalizeId(cantonId)}`) || null;
+}
+
+function listDistricts(provinceId, cantonId) {
+  const canton = getCanton(provinceId, cantonId);
+  return canton ? canton.districts.map(({ id, name, postal_code }) => ({ id, name, postal_code })) : null;
+}
+
+// Forma pública de una ubicación completa
+function formatLocation({ province, canton, district }) {
+  return {
+    province: { id: province.id, name: province.name },
+    canton: { id: canton.id, name: canton.name },
+    district: { id: district.id, name: district.name },
+    postal_code: district.postal_code
+  };
+}
+
+// Resolver provincia/cantón/distrito a nombres y código postal (null si la combinación no existe)
+function resolveLocation(provinceId, cantonId, districtId) {
+  const location = districtsByKey.get(`${normalizeId(provinceId)}-${normalizeId(cantonId)}-${normalizeId(districtId)}`);
+  return location ? formatLocation(location) : null;
+}
+
+function findByPostalCode(postalCode) {
+  const location = districtsByPostalCode.get(String(postalCode || '').trim());
+  return location ? formatLocation(location) : null;
+}
+
+// Recorrer todos los distritos (para búsquedas por nombre)
+function allLocations() {
+  return [...districtsByKey.values()].map(formatLocation);
+}
+
+// ============================================================================
+// INFERENCIA DE UBICACIÓN DESDE LA DIRECCIÓN DE ENVÍO
+// ============================================================================
+
+function findProvince(value) {
+  const code = String(value || '').trim().toUpperCase().replace(/^CR-/, '');
+  if (SHOPIFY_PROVINCE_CODES[code]) {
+    return provincesById.get(SHOPIFY_PROVINCE_CODES[code]);
+  }
+
+  const name = normalizeText(value);
+  return name ? catalog.provinces.find(p => normalizeText(p.name) === name) || null : null;
+}
+
+// ¿Aparece `name` como palabra(s) completa(s) dentro de `text`?
+function containsName(text, name) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegExp(normalizeText(name))}([^a-z0-9]|$)`).test(text);
+}
+
+// Distritos candidatos cuyo nombre aparece en el texto (los nombres más largos ganan:
+// "San Rafael Arriba" antes que "San Rafael")
+function matchDistricts(text, locations) {
+  const matches = locations.filter(({ district }) => containsName(text, district.name));
+  if (matches.length === 0) return [];
+
+  const longest = Math.max(...matches.map(({ district }) => district.name.length));
+  return matches.filter(({ district }) => district.name.length === longest);
+}
+
+function inferenceResult(location, confidence, method) {
+  return {
+    ...formatLocation(location),
+    confidence: Math.round(confidence * 100) / 100,
+    method,
+    needs_review: confidence < INFERENCE_THRESHOLD
+  };
+}
+
+// Inferir provincia/cantón/distrito desde un shipping_address de Shopify.
+// Devuelve la ubicación con `confidence` (0-1) y `needs_review`, o null si no hay pistas.
+function inferLocation(address) {
+  if (!address) return null;
+
+  const province = findProvince(address.province_code) || findProvince(address.province);
+  const city = normalizeText(address.city);
+  const streetText = [address.address1, address.address2].map(normalizeText).join(' , ');
+  const text = `${streetText} , ${city}`;
+
+  // 1. Código postal válido
+  const byZip = districtsByPostalCode.get(String(address.zip || '').trim());
+  if (byZip) {
+    const agrees = !province || byZip.province.id === province.id;
+    return inferenceResult(byZip, agrees ? (province ? 1 : 0.9) : 0.4, 'postal_code');
+  }
+
+  const scope = [...districtsByKey.values()].filter(l => !province || l.province.id === province.id);
+
+  // 2. La ciudad corresponde a un cantón
+  const cantonMatches = city
+    ? [...new Set(scope.filter(l => normalizeText(l.canton.name) === city).map(l => l.canton))]
+    : [];
+
+  if (cantonMatches.length === 1) {
+    const inCanton = scope.filter(l => l.canton === cantonMatches[0]);
+    const districts = matchDistricts(streetText, inCanton);
+
+    if (districts.length === 1) {
+      return inferenceResult(districts[0], province ? 0.9 : 0.8, 'canton_and_district');
+    }
+
+    // Sin distrito reconocible: se propone el distrito cabecera del cantón
+    return inferenceResult(inCanton[0], province ? 0.5 : 0.4, 'canton_only');
+  }
+
+  // 3. El nombre de un distrito aparece en la dirección
+  const districts = matchDistricts(text, scope);
+
+  if (districts.length === 1) {
+    return inferenceResult(districts[0], province ? 0.75 : 0.6, 'district_name');
+  }
+
+  if (districts.length > 1) {
+    // Si la ciudad coincide con el distrito se desempata
+    const byCity = districts.filter(l => normalizeText(l.district.name) === city);
+    if (byCity.length === 1) {
+      return inferenceResult(byCity[0], province ? 0.7 : 0.55, 'district_name');
+    }
+    return inferenceResult(districts[0], 0.3, 'ambiguous');
+  }
+
+  return null;
+}
+
+module.exports = {
+  INFERENCE_THRESHOLD,
+  normalizeText,
+  normalizeId,
+  getCatalogVersion,
+  listProvinces,
+  getProvince,
+  listCantons,
+  getCanton,
+  listDistricts,
+  resolveLocation,
+  findByPostalCode,
+  allLocations,
+  inferLocation
+};
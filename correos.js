@@ -0,0 +1,247 @@
+// correos.js - Cliente del servicio de guías de Correos de Costa Rica (PYMEXPRESS)
+
+const axios = require('axios');
+
+// Configuración por defecto (se puede sobreescribir para apuntar a un stub local)
+const DEFAULT_CONFIG = {
+  baseUrl: process.env.CORREOS_API_URL || 'http://amistad.correos.go.cr:84/wsAppCorreos.wsAppCorreos.svc',
+  authUrl: process.env.CORREOS_AUTH_URL || 'https://servicios.correos.go.cr:447/Token/authenticate',
+  username: process.env.CORREOS_USERNAME,
+  password: process.env.CORREOS_PASSWORD,
+  system: process.env.CORREOS_SYSTEM || 'PYMEXPRESS',
+  clientCode: process.env.CORREOS_CLIENT_CODE,
+  userId: process.env.CORREOS_USER_ID,
+  serviceId: process.env.CORREOS_SERVICE_ID || '73',
+  timeout: 20000
+};
+
+// Los tokens de Correos duran 5 minutos; se renuevan un poco antes
+const TOKEN_TTL_MS = 4 * 60 * 1000;
+
+const SOAP_NAMESPACE = 'http://tempuri.org/';
+const SOAP_CONTRACT = 'IwsAppCorreos';
+
+class CorreosError extends Error {
+  constructor(message, code = null) {
+    super(message);
+    this.name = 'CorreosError';
+    this.code = code;
+  }
+}
+
+// ============================================================================
+// HELPERS SOAP
+// ============================================================================
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toXml(fields) {
+  return Object.entries(fields)
+    .map(([tag, value]) => {
+      if (value && typeof value === 'object') {
+        return `<${tag}>${toXml(value)}</${tag}>`;
+      }
+      return `<${tag}>${escapeXml(value)}</${tag}>`;
+    })
+    .join('');
+}
+
+function buildEnvelope(method, body) {
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">' +
+    '<soap:Body>' +
+    `<${method} xmlns="${SOAP_NAMESPACE}">${toXml(body)}</${method}>` +
+    '</soap:Body>' +
+    '</soap:Envelope>';
+}
+
+// Extraer el valor de un tag (ignora prefijos de namespace)
+function readTag(xml, tag) {
+  const match = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(xml);
+  return match ? match[1].trim() : null;
+}
+
+function readAllTags(xml, tag) {
+  const regex = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  const values = [];
+  let match;
+  while ((match = regex.exec(xml)) !== null) {
+    values.push(match[1].trim());
+  }
+  return values;
+}
+
+// Correos devuelve fechas como "dd/mm/yyyy hh:mm:ss" en hora de Costa Rica (UTC-6)
+function parseCorreosDate(value) {
+  const match = /^(\d{2})\/(\d{2})\/(\d{4})\s+(\d{2}):(\d{2})(?::(\d{2}))?/.exec(value || '');
+  if (!match) {
+    const date = new Date(value);
+    return isNaN(date) ? null : date;
+  }
+
+  const [, day, month, year, hour, minute, second = '00'] = match;
+  return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}-06:00`);
+}
+
+// ============================================================================
+// CLIENTE
+// ============================================================================
+
+function createCorreosClient(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  let cachedToken = null;
+
+  async function getToken() {
+    if (cachedToken && cachedToken.expiresAt > Date.now()) {
+      return cachedToken.value;
+    }
+
+    try {
+      const response = await axios.post(
+        config.authUrl,
+        {
+          Username: config.username,
+          Password: config.password,
+          Sistema: config.system
+        },
+        { timeout: config.timeout }
+      );
+
+      const value = typeof response.data === 'string' ? response.data : response.data?.token;
+
+      if (!value) {
+        throw new CorreosError('Correos no devolvió un token de autenticación');
+      }
+
+      cachedToken = { value, expiresAt: Date.now() + TOKEN_TTL_MS };
+      return value;
+    } catch (error) {
+      if (error instanceof CorreosError) throw error;
+      throw new CorreosError(`Error autenticando con Correos: ${error.message}`);
+    }
+  }
+
+  async function call(method, body) {
+    const token = await getToken();
+
+    let response;
+    try {
+      response = await axios.post(config.baseUrl, buildEnvelope(method, body), {
+        timeout: config.timeout,
+        headers: {
+          'Content-Type': 'text/xml; charset=utf-8',
+          SOAPAction: `${SOAP_NAMESPACE}${SOAP_CONTRACT}/${method}`,
+          Authorization: token
+        }
+      });
+    } catch (error) {
+      // Token rechazado: forzar renovación en el próximo intento
+      if (error.response?.status === 401) {
+        cachedToken = null;
+      }
+      throw new CorreosError(`Error llamando ${method} en Correos: ${error.message}`);
+    }
+
+    const xml = String(response.data);
+    const code = readTag(xml, 'Cod_Respuesta');
+
+    if (code !== '00') {
+      throw new CorreosError(readTag(xml, 'Mensaje_Respuesta') || `Correos rechazó ${method}`, code);
+    }
+
+    return xml;
+  }
+
+  // Solicitar un número de guía nuevo
+  async function requestGuideNumber() {
+    const xml = await call('ccrGenerarGuia', {});
+    const trackingNumber = readTag(xml, 'NumeroEnvio');
+
+    if (!trackingNumber) {
+      throw new CorreosError('Correos no devolvió un número de guía');
+    }
+
+    return trackingNumber;
+  }
+
+  // Registrar el envío y obtener la etiqueta (PDF en base64)
+  async function registerShipment(trackingNumber, { sender, recipient, weight, notes }) {
+    const xml = await call('ccrRegistroEnvio', {
+      ccrReqEnvio: {
+        Cliente: config.clientCode,
+        Envio: {
+          ENVIO_ID: trackingNumber,
+          SERVICIO: config.serviceId,
+          USUARIO_ID: config.userId,
+          TIPO_ENVIO: '1',
+          PESO: weight,
+          MONTO_FLETE: 0,
+          OBSERVACIONES: notes,
+          SEND_NOMBRE: sender.name,
+          SEND_TELEFONO: sender.phone,
+          SEND_DIRECCION: sender.address,
+          SEND_ZIP: sender.postalCode,
+          SEND_ID_TIPO: sender.identificationType,
+          SEND_ID: sender.identification,
+          DEST_NOMBRE: recipient.name,
+          DEST_TELEFONO: recipient.phone,
+          DEST_DIRECCION: recipient.address,
+          DEST_ZIP: recipient.postalCode,
+          DEST_APARTADO: ''
+        }
+      }
+    });
+
+    return readTag(xml, 'PDF');
+  }
+
+  // Consultar el historial de tracking de una guía
+  async function getTracking(trackingNumber) {
+    const xml = await call('ccrMovilTracking', {
+      Datos: { NumeroEnvio: trackingNumber }
+    });
+
+    return readAllTags(xml, 'Evento').map(eventXml => ({
+      code: readTag(eventXml, 'Codigo'),
+      description: readTag(eventXml, 'Descripcion') || '',
+      location: readTag(eventXml, 'Unidad'),
+      occurredAt: parseCorreosDate(readTag(eventXml, 'Fecha_Hora'))
+    }));
+  }
+
+  // Generar una guía completa: número + registro del envío
+  async function generateGuide(shipment) {
+    const trackingNumber = await requestGuideNumber();
+    const label = await registerShipment(trackingNumber, shipment);
+
+    return { trackingNumber, label };
+  }
+
+  return {
+    config,
+    requestGuideNumber,
+    registerShipment,
+    generateGuide,
+    getTracking
+  };
+}
+
+// ============================================================================
+// EXPORTS
+// ============================================================================
+
+module.exports = {
+  CorreosError,
+  createCorreosClient,
+  buildEnvelope,
+  readTag,
+  readAllTags,
+  parseCorreosDate
+};
@@ -0,0 +1,18 @@
+// csv.js - Escapado de valores para los CSV que se descargan (manifiestos y exportaciones GDPR)
+
+// Textos que Excel interpretaría como fórmula (nombres, pedidos y notas los escribe el cliente)
+const CSV_FORMULA_PATTERN = /^[=+\-@\t\r]/;
+
+function escapeCsv(value) {
+  let text = String(value ?? '');
+
+  if (typeof value === 'string' && CSV_FORMULA_PATTERN.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+module.exports = {
+  escapeCsv
+};
@@ -0,0 +1,150 @@
+// data-requests.js - Exportación de los datos de un cliente (GDPR customers/data_request) en JSON y CSV
+
+const { escapeCsv } = require('./csv');
+
+const CSV_COLUMNS = [
+  'record_type',
+  'order_id',
+  'order_name',
+  'tracking_number',
+  'date',
+  'status',
+  'name',
+  'email',
+  'phone',
+  'address',
+  'detail',
+  'notified_at'
+];
+
+function formatAddress(address) {
+  if (!address) return '';
+  return [address.address1, address.address2, address.city, address.province, address.zip, address.country]
+    .filter(Boolean)
+    .join(', ');
+}
+
+// Guía sin los datos del remitente (son del comerciante) ni el PDF de la etiqueta
+function exportShipment(shipment) {
+  return {
+    tracking_number: shipment.trackingNumber,
+    order_id: shipment.orderId,
+    order_name: shipment.orderName,
+    recipient: shipment.recipientSnapshot,
+    status: shipment.status,
+    has_label: Boolean(shipment.labelPdf),
+    fulfillment_id: shipment.fulfillmentId,
+    manifest_id: shipment.manifestId,
+    created_at: shipment.createdAt,
+    last_event_at: shipment.lastEventAt,
+    // notified_at: cuándo el evento se envió a Shopify (que notifica al cliente)
+    tracking_events: (shipment.TrackingEvents || []).map(event => ({
+      status: event.status,
+      code: event.code,
+      description: event.description,
+      location: event.location,
+      occurred_at: event.occurredAt,
+      notified_at: event.pushedToShopifyAt
+    }))
+  };
+}
+
+// Documento de exportación a partir de la solicitud y de collectCustomerData
+function buildCustomerExport(dataRequest, { orders, shipments }) {
+  return {
+    shop: dataRequest.shop,
+    request: {
+      id: dataRequest.id,
+      shopify_request_id: dataRequest.shopifyRequestId,
+      received_at: dataRequest.createdAt,
+      orders_requested: dataRequest.ordersRequested || []
+    },
+    customer: {
+      id: dataRequest.customerId,
+      email: dataRequest.customerEmail,
+      phone: dataRequest.customerPhone
+    },
+    generated_at: new Date().toISOString(),
+    orders: orders.map(order => order.data),
+    shipments: shipments.map(exportShipment)
+  };
+}
+
+// Resumen para listar la solicitud sin descargar la exportación
+function summarizeCustomerExport(exportData) {
+  if (!exportData) return null;
+
+  return {
+    orders: exportData.orders.length,
+    shipments: exportData.shipments.length,
+    tracking_events: exportData.shipments.reduce((sum, s) => sum + s.tracking_events.length, 0),
+    generated_at: exportData.generated_at
+  };
+}
+
+// Una fila por pedido, guía y evento de tracking
+function buildExportRows(exportData) {
+  const rows = [];
+
+  for (const order of exportData.orders) {
+    rows.push({
+      record_type: 'order',
+      order_id: order.id,
+      order_name: order.name,
+      date: order.created_at,
+      name: order.shipping_address?.name || order.customer?.name,
+      email: order.customer?.email,
+      phone: order.shipping_address?.phone || order.customer?.phone,
+      address: formatAddress(order.shipping_address),
+      detail: order.line_items.map(item => `${item.quantity}x ${item.title}`).join('; ')
+    });
+  }
+
+  for (const shipment of exportData.shipments) {
+    const recipient = shipment.recipient || {};
+
+    rows.push({
+      record_type: 'shipment',
+      order_id: shipment.order_id,
+      order_name: shipment.order_name,
+      tracking_number: shipment.tracking_number,
+      date: shipment.created_at,
+      status: shipment.status,
+      name: recipient.name,
+      phone: recipient.phone,
+      address: [recipient.address, recipient.postalCode].filter(Boolean).join(', ')
+    });
+
+    for (const event of shipment.tracking_events) {
+      rows.push({
+        record_type: 'tracking_event',
+        order_id: shipment.order_id,
+        order_name: shipment.order_name,
+        tracking_number: shipment.tracking_number,
+        date: event.occurred_at,
+        status: event.status,
+        detail: [event.description, event.location].filter(Boolean).join(' - '),
+        notified_at: event.notified_at
+      });
+    }
+  }
+
+  return rows;
+}
+
+function renderCustomerExportCsv(exportData) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const row of buildExportRows(exportData)) {
+    lines.push(CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+  }
+
+  // BOM para que Excel abra las tildes correctamente
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  buildCustomerExport,
+  summarizeCustomerExport,
+  renderCustomerExportCsv
+};
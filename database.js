@@ -1,7 +1,17 @@
 // database.js - Base de datos completa con PostgreSQL
 
-const { Sequelize, DataTypes } = require('sequelize');
+const { Sequelize, DataTypes, Op } = require('sequelize');
 const crypto = require('crypto');
+const {
+  isEncryptedWithCurrentKey,
+  encryptSecret,
+  decryptSecret,
+  hashAccessKey,
+  accessKeyPrefix
+} = require('./secrets');
+const { createMigrator } = require('./migrator');
+const { UNPAID_STATUSES, normalizeFilterValue } = require('./orders');
+const { logger } = require('./logger');
 
 // Conexión a la base de datos
 const sequelize = new Sequelize(process.env.DATABASE_URL || 'sqlite:./database.sqlite', {
@@ -27,9 +37,15 @@ const Shop = sequelize.define('Shop', {
     comment: 'Dominio de la tienda (ej: mi-tienda.myshopify.com)'
   },
   accessToken: {
-    type: DataTypes.STRING,
+    type: DataTypes.TEXT,
     allowNull: false,
-    comment: 'Access token de Shopify OAuth'
+    comment: 'Access token de Shopify OAuth (cifrado con ENCRYPTION_KEYS)',
+    get() {
+      return decryptSecret(this.getDataValue('accessToken'));
+    },
+    set(value) {
+      this.setDataValue('accessToken', encryptSecret(value));
+    }
   },
   scope: {
     type: DataTypes.STRING,
@@ -46,12 +62,47 @@ const Shop = sequelize.define('Shop', {
   isActive: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
+  },
+  ordersSyncedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Última sincronización completa del cache de pedidos'
   }
 }, {
   tableName: 'shops',
   timestamps: true
 });
 
+// ============================================================================
+// MODELO: OAuth States (state de instalación, de un solo uso)
+// ============================================================================
+
+const OAuthState = sequelize.define('OAuthState', {
+  state: {
+    type: DataTypes.STRING(64),
+    primaryKey: true,
+    allowNull: false
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Tienda que inició la instalación'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'oauth_states',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['expiresAt']
+    }
+  ]
+});
+
 // ============================================================================
 // MODELO: Extension Access Keys (Para la extensión Chrome)
 // ============================================================================
@@ -72,14 +123,42 @@ const ExtensionKey = sequelize.define('ExtensionKey', {
   },
   accessKey: {
     type: DataTypes.STRING(255),
-    allowNull: false,
-    comment: 'Access key para la extensión (sk_...)'
+    allowNull: true,
+    comment: 'Legacy: access key en texto plano, se migra a keyHash y queda en null'
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    comment: 'SHA-256 del access key (sk_...)'
+  },
+  keyPrefix: {
+    type: DataTypes.STRING(16),
+    allowNull: true,
+    comment: 'Inicio del access key para identificarlo en la app'
+  },
+  plainKey: {
+    type: DataTypes.VIRTUAL,
+    comment: 'Access key completo, solo disponible al crearlo'
   },
   name: {
     type: DataTypes.STRING,
     allowNull: true,
     comment: 'Nombre descriptivo del key (ej: "Mi Computadora")'
   },
+  scopes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Permisos del key (ej: ["orders:read"]). null = todos (keys anteriores a los scopes)'
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  allowedIps: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'IPs o rangos CIDR desde los que se puede usar el key. null = cualquiera'
+  },
   lastUsedAt: {
     type: DataTypes.DATE,
     allowNull: true
@@ -100,12 +179,19 @@ const ExtensionKey = sequelize.define('ExtensionKey', {
       unique: true,
       fields: ['accessKey'],
       name: 'extension_keys_access_key_unique'
+    },
+    {
+      unique: true,
+      fields: ['keyHash'],
+      name: 'extension_keys_key_hash_unique'
     }
   ]
 });
 
 // ============================================================================
 // MODELO: Sender Configs (Configuración de remitente por tienda)
+// Legacy: un solo remitente por tienda. Se conserva para migrar los datos
+// existentes a SenderProfile (ver migrations/003-create-sender-profiles.js).
 // ============================================================================
 
 const SenderConfig = sequelize.define('SenderConfig', {
@@ -121,7 +207,7 @@ const SenderConfig = sequelize.define('SenderConfig', {
   senderIdentificationType: {
     type: DataTypes.STRING,
     defaultValue: '1',
-    comment: '1=Cédula, 2=DIMEX, 3=Pasaporte'
+    comment: '1=Cédula física, 2=DIMEX, 3=Pasaporte, 4=Cédula jurídica'
   },
   senderId: {
     type: DataTypes.STRING,
@@ -164,275 +250,2074 @@ const SenderConfig = sequelize.define('SenderConfig', {
   timestamps: true
 });
 
-// Relaciones
-Shop.hasMany(ExtensionKey, { foreignKey: 'shop', sourceKey: 'shop' });
-ExtensionKey.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
-
-Shop.hasOne(SenderConfig, { foreignKey: 'shop', sourceKey: 'shop' });
-SenderConfig.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
-
 // ============================================================================
-// FUNCIONES DE BASE DE DATOS
+// MODELO: Sender Profiles (Remitentes / puntos de recolección por tienda)
 // ============================================================================
 
-// Inicializar base de datos
-async function initDatabase() {
-  try {
-    await sequelize.authenticate();
-    console.log('✓ Conexión a base de datos establecida');
-
-    await sequelize.sync({ alter: true });
-    console.log('✓ Modelos sincronizados');
-
-    return true;
-  } catch (error) {
-    console.error('✗ Error conectando a la base de datos:', error);
-    return false;
+const SenderProfile = sequelize.define('SenderProfile', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Shop,
+      key: 'shop'
+    }
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Nombre del perfil (ej: "Bodega Heredia", "Tienda Escazú")'
+  },
+  isDefault: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false,
+    comment: 'Perfil usado cuando no se indica uno'
+  },
+  senderIdentificationType: {
+    type: DataTypes.STRING,
+    defaultValue: '1',
+    comment: '1=Cédula física, 2=DIMEX, 3=Pasaporte, 4=Cédula jurídica'
+  },
+  senderId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  senderName: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  senderPhone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  senderMail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  provinciaSender: {
+    type: DataTypes.STRING,
+    defaultValue: '1'
+  },
+  cantonSender: {
+    type: DataTypes.STRING,
+    defaultValue: '1'
+  },
+  distritoSender: {
+    type: DataTypes.STRING,
+    defaultValue: '1'
+  },
+  senderPostalCode: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  senderDirection: {
+    type: DataTypes.STRING,
+    allowNull: true
   }
-}
+}, {
+  tableName: 'sender_profiles',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['shop'],
+      name: 'sender_profiles_shop'
+    }
+  ]
+});
 
 // ============================================================================
-// SHOPS
+// MODELO: Shipments (Guías generadas por pedido)
 // ============================================================================
 
-async function saveShopSession(shop, accessToken, scope = null) {
-  try {
-    const [shopRecord, created] = await Shop.upsert({
-      shop,
-      accessToken,
-      scope,
-      installedAt: new Date(),
-      uninstalledAt: null,
-      isActive: true
-    });
-
-    console.log(`✓ Tienda ${created ? 'instalada' : 'actualizada'}: ${shop}`);
-    return shopRecord;
-  } catch (error) {
-    console.error('Error guardando tienda:', error);
-    throw error;
-  }
-}
-
-async function getShopSession(shop) {
-  try {
-    const shopRecord = await Shop.findOne({
-      where: {
-        shop,
-        isActive: true
-      }
-    });
-
-    return shopRecord;
-  } catch (error) {
-    console.error('Error obteniendo tienda:', error);
-    return null;
-  }
-}
-
-async function deleteShopSession(shop) {
-  try {
-    await Shop.update(
-      {
-        isActive: false,
-        uninstalledAt: new Date()
-      },
-      {
-        where: { shop }
-      }
-    );
-
-    // Desactivar también todos los access keys
-    await ExtensionKey.update(
-      { isActive: false },
-      { where: { shop } }
-    );
-
-    console.log(`✓ Tienda desinstalada: ${shop}`);
-  } catch (error) {
-    console.error('Error desinstalando tienda:', error);
-  }
-}
-
-async function getActiveShopsCount() {
-  try {
-    return await Shop.count({
-      where: { isActive: true }
-    });
-  } catch (error) {
-    console.error('Error contando tiendas:', error);
-    return 0;
+const Shipment = sequelize.define('Shipment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Shop,
+      key: 'shop'
+    }
+  },
+  orderId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'ID del pedido en Shopify'
+  },
+  orderName: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Nombre visible del pedido (ej: #1042)'
+  },
+  trackingNumber: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'Número de guía de Correos CR'
+  },
+  senderSnapshot: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Copia de la configuración de remitente usada al crear la guía'
+  },
+  recipientSnapshot: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Destinatario y ubicación (provincia/cantón/distrito) usados en la guía'
+  },
+  labelPdf: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Etiqueta devuelta por Correos (PDF en base64)'
+  },
+  redactedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Cuándo se borraron destinatario y etiqueta por customers/redact'
+  },
+  senderProfileId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Perfil de remitente usado (null en guías anteriores a los perfiles)'
+  },
+  extensionKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Access key que creó la guía (null si vino de la app)'
+  },
+  fulfillmentId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Fulfillment de Shopify asociado a la guía'
+  },
+  manifestId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Manifiesto en el que se entregó la guía a Correos'
+  },
+  lineItems: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Line items y cantidades del paquete (null = pedido completo)'
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'created',
+    comment: 'created, in_transit, out_for_delivery, attempted_delivery, delivered, failure, stale'
+  },
+  lastEventAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Fecha del último evento de tracking registrado'
+  },
+  lastCheckedAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Última consulta de tracking a Correos'
   }
-}
+}, {
+  tableName: 'shipments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['shop', 'orderId'],
+      name: 'shipments_shop_order_id'
+    },
+    {
+      fields: ['trackingNumber'],
+      name: 'shipments_tracking_number'
+    }
+  ]
+});
 
 // ============================================================================
-// EXTENSION ACCESS KEYS
+// MODELO: Orders (Cache local de pedidos, alimentado por webhooks + sincronización)
 // ============================================================================
 
-// Generar un access key único
-function generateAccessKey() {
-  return 'sk_' + crypto.randomBytes(32).toString('hex');
-}
-
-// Crear un nuevo access key para una tienda
-async function createExtensionKey(shop, name = null) {
-  try {
-    // Verificar que la tienda existe
-    const shopRecord = await getShopSession(shop);
-    if (!shopRecord) {
-      throw new Error('Shop not found');
-    }
-
+const Order = sequelize.define('Order', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Shop,
+      key: 'shop'
+    }
+  },
+  orderId: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'ID del pedido en Shopify'
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  customerId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'ID del cliente en Shopify (solicitudes de datos GDPR)'
+  },
+  orderCreatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  shopifyUpdatedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    comment: 'updated_at de Shopify, para descartar webhooks que llegan tarde'
+  },
+  financialStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  fulfillmentStatus: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  cancelledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  isPending: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true,
+    comment: 'Sin despachar (o despacho parcial) y sin cancelar'
+  },
+  isCashOnDelivery: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  // Columnas de filtro: valores normalizados delimitados con '|' (ver buildOrderFilterColumns)
+  tags: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  provinces: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  searchText: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Nombre del pedido, cliente y teléfonos'
+  },
+  searchDigits: {
+    type: DataTypes.TEXT,
+    allowNull: true,
+    comment: 'Solo los dígitos de searchText, para buscar teléfonos con cualquier formato'
+  },
+  data: {
+    type: DataTypes.JSON,
+    allowNull: false,
+    comment: 'Pedido mapeado tal como lo devuelve /api/orders/pending'
+  }
+}, {
+  tableName: 'orders',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['shop', 'orderId'],
+      name: 'orders_shop_order_id_unique'
+    },
+    {
+      fields: ['shop', 'isPending', 'orderCreatedAt', 'orderId']
+    },
+    {
+      fields: ['shop', 'customerId']
+    }
+  ]
+});
+
+// ============================================================================
+// MODELO: Manifests (Manifiestos de entrega a Correos)
+// ============================================================================
+
+const Manifest = sequelize.define('Manifest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Shop,
+      key: 'shop'
+    }
+  },
+  senderProfileId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Perfil de remitente (punto de recolección) del manifiesto'
+  },
+  sequence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    comment: 'Consecutivo por tienda y perfil de remitente'
+  },
+  senderSnapshot: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Remitente al momento de cerrar el manifiesto'
+  },
+  shipmentCount: {
+    type: DataTypes.INTEGER,
+    defaultValue: 0
+  },
+  closedAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  extensionKeyId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    comment: 'Access key que cerró el manifiesto (null si vino de la app)'
+  }
+}, {
+  tableName: 'manifests',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['shop', 'senderProfileId', 'sequence'],
+      name: 'manifests_shop_profile_sequence_unique'
+    }
+  ]
+});
+
+// ============================================================================
+// MODELO: Tracking Events (Historial de estados de cada guía)
+// ============================================================================
+
+const TrackingEvent = sequelize.define('TrackingEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shipmentId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Shipment,
+      key: 'id'
+    }
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Estado normalizado (null si el evento de Correos no cambia el estado)'
+  },
+  code: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Código del evento en Correos'
+  },
+  description: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  location: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Unidad/sucursal de Correos donde ocurrió el evento'
+  },
+  occurredAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  pushedToShopifyAt: {
+    type: DataTypes.DATE,
+    allowNull: true,
+    comment: 'Cuándo se envió el fulfillment event a Shopify'
+  }
+}, {
+  tableName: 'tracking_events',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['shipmentId', 'occurredAt'],
+      name: 'tracking_events_shipment_occurred_at'
+    },
+    {
+      fields: ['pushedToShopifyAt', 'createdAt'],
+      name: 'tracking_events_pushed_created_at'
+    }
+  ]
+});
+
+// ============================================================================
+// MODELO: Data Requests (Solicitudes GDPR customers/data_request)
+// ============================================================================
+
+const DataRequest = sequelize.define('DataRequest', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Shop,
+      key: 'shop'
+    }
+  },
+  shopifyRequestId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'data_request.id del webhook (Shopify reintenta el mismo webhook)'
+  },
+  customerId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'ID del cliente en Shopify'
+  },
+  customerEmail: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  customerPhone: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  ordersRequested: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'IDs de pedidos incluidos en la solicitud'
+  },
+  status: {
+    type: DataTypes.STRING,
+    defaultValue: 'pending',
+    comment: 'pending (recibida), ready (exportación generada), fulfilled (entregada al cliente)'
+  },
+  exportData: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Datos del cliente que guarda el backend (ver buildCustomerExport)'
+  },
+  readyAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  fulfilledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'data_requests',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['shop', 'shopifyRequestId'],
+      name: 'data_requests_shop_request_id_unique'
+    }
+  ]
+});
+
+// ============================================================================
+// MODELO: Audit Events (Quién hizo qué: keys, remitentes, fulfillments, instalación)
+// ============================================================================
+
+const AuditEvent = sequelize.define('AuditEvent', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  shop: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    references: {
+      model: Shop,
+      key: 'shop'
+    }
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    comment: 'ej: extension_key.revoked, sender_profile.updated, fulfillment.created, app.installed'
+  },
+  actorType: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'system',
+    comment: 'user (session token), extension_key, shopify (OAuth/webhooks) o system'
+  },
+  actorId: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'Usuario de Shopify (sub del session token) o ID del access key'
+  },
+  ip: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  resourceType: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    comment: 'extension_key, sender_profile, order, shop'
+  },
+  resourceId: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSON,
+    allowNull: true,
+    comment: 'Campos modificados: { campo: { from, to } }'
+  }
+}, {
+  tableName: 'audit_events',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['shop', 'createdAt']
+    },
+    {
+      fields: ['shop', 'action']
+    }
+  ]
+});
+
+// ============================================================================
+// MODELO: Rate Limit Buckets (Estado de los límites de la API cuando se comparte entre instancias)
+// ============================================================================
+
+const RateLimitBucket = sequelize.define('RateLimitBucket', {
+  key: {
+    type: DataTypes.STRING,
+    primaryKey: true,
+    allowNull: false,
+    comment: 'Balde limitado (ej: key:<id del access key>, shop:<tienda>)'
+  },
+  tokens: {
+    type: DataTypes.DOUBLE,
+    allowNull: false,
+    comment: 'Tokens disponibles en refilledAt'
+  },
+  refilledAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'rate_limit_buckets',
+  timestamps: false
+});
+
+// Relaciones
+Shop.hasMany(ExtensionKey, { foreignKey: 'shop', sourceKey: 'shop' });
+ExtensionKey.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Shop.hasOne(SenderConfig, { foreignKey: 'shop', sourceKey: 'shop' });
+SenderConfig.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Shop.hasMany(SenderProfile, { foreignKey: 'shop', sourceKey: 'shop' });
+SenderProfile.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Shop.hasMany(Shipment, { foreignKey: 'shop', sourceKey: 'shop' });
+Shipment.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Shop.hasMany(Order, { foreignKey: 'shop', sourceKey: 'shop' });
+Order.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Shop.hasMany(Manifest, { foreignKey: 'shop', sourceKey: 'shop' });
+Manifest.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Manifest.hasMany(Shipment, { foreignKey: 'manifestId', sourceKey: 'id' });
+Shipment.belongsTo(Manifest, { foreignKey: 'manifestId', targetKey: 'id' });
+
+Shipment.hasMany(TrackingEvent, { foreignKey: 'shipmentId', sourceKey: 'id' });
+TrackingEvent.belongsTo(Shipment, { foreignKey: 'shipmentId', targetKey: 'id' });
+
+Shop.hasMany(DataRequest, { foreignKey: 'shop', sourceKey: 'shop' });
+DataRequest.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+Shop.hasMany(AuditEvent, { foreignKey: 'shop', sourceKey: 'shop' });
+AuditEvent.belongsTo(Shop, { foreignKey: 'shop', targetKey: 'shop' });
+
+// ============================================================================
+// FUNCIONES DE BASE DE DATOS
+// ============================================================================
+
+// Migraciones del esquema (migrations/). Los modelos no crean ni alteran tablas:
+// cualquier cambio de columnas o índices va en una migración nueva.
+const migrator = createMigrator(sequelize);
+
+// Inicializar base de datos
+async function initDatabase() {
+  try {
+    await sequelize.authenticate();
+    logger.info('Conexión a base de datos establecida');
+
+    const applied = await migrator.up();
+    logger.info(applied.length > 0 ? 'Migraciones aplicadas' : 'Esquema al día', { count: applied.length });
+
+    await migrateAccessTokens();
+
+    return true;
+  } catch (error) {
+    logger.error('Error conectando a la base de datos', { error });
+    return false;
+  }
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+// Campos que se registran en el audit log (nunca hashes, tokens ni el key completo)
+const SHOP_AUDIT_FIELDS = ['scope', 'isActive'];
+const EXTENSION_KEY_AUDIT_FIELDS = ['name', 'keyPrefix', 'scopes', 'expiresAt', 'allowedIps', 'isActive'];
+const SENDER_PROFILE_AUDIT_FIELDS = [
+  'name', 'isDefault', 'senderIdentificationType', 'senderId', 'senderName', 'senderPhone',
+  'senderMail', 'provinciaSender', 'cantonSender', 'distritoSender', 'senderPostalCode', 'senderDirection'
+];
+
+function auditValue(value) {
+  if (value === undefined) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+// Copia de los campos auditables de un registro (null si no existe)
+function auditSnapshot(record, fields) {
+  if (!record) return null;
+
+  const values = record.get ? record.get({ plain: true }) : record;
+  return Object.fromEntries(fields.map(field => [field, auditValue(values[field])]));
+}
+
+// Campos que cambiaron entre dos snapshots: { campo: { from, to } }
+function diffChanges(before, after) {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    const from = before ? before[field] ?? null : null;
+    const to = after ? after[field] ?? null : null;
+
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+}
+
+// Registrar un evento. `actor` = { type, id, ip } de la solicitud (ver getAuditActor en server.js)
+async function recordAuditEvent(shop, action, { actor = null, resourceType = null, resourceId = null, changes = null, transaction } = {}) {
+  try {
+    return await AuditEvent.create({
+      shop,
+      action,
+      actorType: actor?.type || 'system',
+      actorId: actor?.id ? String(actor.id) : null,
+      ip: actor?.ip || null,
+      resourceType,
+      resourceId: resourceId ? String(resourceId) : null,
+      changes: changes && Object.keys(changes).length > 0 ? changes : null
+    }, { transaction });
+  } catch (error) {
+    logger.error('Error registrando evento de auditoría', { error });
+    throw error;
+  }
+}
+
+// Eventos de una tienda, más nuevos primero
+async function getAuditEvents(shop, filters = {}) {
+  try {
+    const where = { shop };
+
+    if (filters.actions?.length) where.action = { [Op.in]: filters.actions };
+    if (filters.actorType) where.actorType = filters.actorType;
+    if (filters.actorId) where.actorId = filters.actorId;
+    if (filters.resourceType) where.resourceType = filters.resourceType;
+    if (filters.resourceId) where.resourceId = filters.resourceId;
+
+    if (filters.createdAtMin || filters.createdAtMax) {
+      where.createdAt = {};
+      if (filters.createdAtMin) where.createdAt[Op.gte] = new Date(filters.createdAtMin);
+      if (filters.createdAtMax) where.createdAt[Op.lte] = new Date(filters.createdAtMax);
+    }
+
+    const { rows, count } = await AuditEvent.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: filters.limit || 50,
+      offset: filters.offset || 0
+    });
+
+    return { events: rows, total: count };
+  } catch (error) {
+    logger.error('Error obteniendo audit log', { error });
+    return { events: [], total: 0 };
+  }
+}
+
+// ============================================================================
+// SHOPS
+// ============================================================================
+
+async function saveShopSession(shop, accessToken, scope = null, actor = null) {
+  try {
+    const before = auditSnapshot(await Shop.findByPk(shop), SHOP_AUDIT_FIELDS);
+
+    const [shopRecord, created] = await Shop.upsert({
+      shop,
+      accessToken,
+      scope,
+      installedAt: new Date(),
+      uninstalledAt: null,
+      isActive: true
+    });
+
+    await recordAuditEvent(shop, 'app.installed', {
+      actor,
+      resourceType: 'shop',
+      resourceId: shop,
+      changes: diffChanges(before, auditSnapshot(shopRecord, SHOP_AUDIT_FIELDS))
+    });
+
+    logger.info(created ? 'Tienda instalada' : 'Tienda actualizada', { shop });
+    return shopRecord;
+  } catch (error) {
+    logger.error('Error guardando tienda', { error });
+    throw error;
+  }
+}
+
+async function getShopSession(shop) {
+  try {
+    const shopRecord = await Shop.findOne({
+      where: {
+        shop,
+        isActive: true
+      }
+    });
+
+    return shopRecord;
+  } catch (error) {
+    logger.error('Error obteniendo tienda', { error });
+    return null;
+  }
+}
+
+async function deleteShopSession(shop, actor = null) {
+  try {
+    const [uninstalled] = await Shop.update(
+      {
+        isActive: false,
+        uninstalledAt: new Date()
+      },
+      {
+        where: { shop }
+      }
+    );
+
+    // Desactivar también todos los access keys
+    await ExtensionKey.update(
+      { isActive: false },
+      { where: { shop } }
+    );
+
+    if (uninstalled > 0) {
+      await recordAuditEvent(shop, 'app.uninstalled', {
+        actor,
+        resourceType: 'shop',
+        resourceId: shop,
+        changes: { isActive: { from: true, to: false } }
+      });
+    }
+
+    logger.info('Tienda desinstalada', { shop });
+  } catch (error) {
+    logger.error('Error desinstalando tienda', { error });
+  }
+}
+
+// Cifrar los access tokens en texto plano o con una clave anterior (rotación)
+async function migrateAccessTokens() {
+  try {
+    const shops = await Shop.findAll();
+    let migrated = 0;
+
+    for (const shopRecord of shops) {
+      if (isEncryptedWithCurrentKey(shopRecord.getDataValue('accessToken'))) continue;
+
+      shopRecord.accessToken = shopRecord.accessToken;
+      await shopRecord.save({ silent: true });
+      migrated++;
+    }
+
+    if (migrated > 0) {
+      logger.info('Access tokens cifrados con la clave actual', { count: migrated });
+    }
+  } catch (error) {
+    logger.error('Error cifrando access tokens', { error });
+  }
+}
+
+async function getActiveShops() {
+  try {
+    return await Shop.findAll({
+      where: { isActive: true },
+      order: [['ordersSyncedAt', 'ASC NULLS FIRST']]
+    });
+  } catch (error) {
+    logger.error('Error obteniendo tiendas activas', { error });
+    return [];
+  }
+}
+
+async function getActiveShopsCount() {
+  try {
+    return await Shop.count({
+      where: { isActive: true }
+    });
+  } catch (error) {
+    logger.error('Error contando tiendas', { error });
+    return 0;
+  }
+}
+
+// ============================================================================
+// OAUTH STATES
+// ============================================================================
+
+async function createOAuthState(shop, ttlMs) {
+  try {
+    const state = crypto.randomBytes(16).toString('hex');
+
+    await OAuthState.create({
+      state,
+      shop,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+
+    return state;
+  } catch (error) {
+    logger.error('Error guardando OAuth state', { error });
+    throw error;
+  }
+}
+
+// Consumir un state: solo vale una vez, para la tienda que lo pidió y antes de expirar.
+// El destroy es atómico, así dos callbacks con el mismo state no pueden pasar ambos.
+async function consumeOAuthState(state, shop) {
+  try {
+    const consumed = await OAuthState.destroy({
+      where: {
+        state: String(state),
+        shop,
+        expiresAt: { [Op.gt]: new Date() }
+      }
+    });
+
+    return consumed === 1;
+  } catch (error) {
+    logger.error('Error consumiendo OAuth state', { error });
+    return false;
+  }
+}
+
+async function purgeExpiredOAuthStates() {
+  try {
+    return await OAuthState.destroy({
+      where: { expiresAt: { [Op.lte]: new Date() } }
+    });
+  } catch (error) {
+    logger.error('Error limpiando OAuth states', { error });
+    return 0;
+  }
+}
+
+// ============================================================================
+// EXTENSION ACCESS KEYS
+// ============================================================================
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Generar un access key único
+function generateAccessKey() {
+  return 'sk_' + crypto.randomBytes(32).toString('hex');
+}
+
+// Crear un nuevo access key para una tienda.
+// `options` = { scopes, expiresAt, allowedIps } (ver validateExtensionKeyOptions)
+async function createExtensionKey(shop, name = null, options = {}, actor = null) {
+  try {
+    // Verificar que la tienda existe
+    const shopRecord = await getShopSession(shop);
+    if (!shopRecord) {
+      throw new Error('Shop not found');
+    }
+
     const accessKey = generateAccessKey();
 
-    const key = await ExtensionKey.create({
-      shop,
-      accessKey,
-      name,
-      isActive: true
+    // Solo se guarda el hash; el key completo se devuelve una única vez en `plainKey`
+    const key = await sequelize.transaction(async (transaction) => {
+      const created = await ExtensionKey.create({
+        shop,
+        keyHash: hashAccessKey(accessKey),
+        keyPrefix: accessKeyPrefix(accessKey),
+        plainKey: accessKey,
+        name,
+        scopes: options.scopes || null,
+        expiresAt: options.expiresAt || null,
+        allowedIps: options.allowedIps || null,
+        isActive: true
+      }, { transaction });
+
+      await recordAuditEvent(shop, 'extension_key.created', {
+        actor,
+        resourceType: 'extension_key',
+        resourceId: created.id,
+        changes: diffChanges(null, auditSnapshot(created, EXTENSION_KEY_AUDIT_FIELDS)),
+        transaction
+      });
+
+      return created;
+    });
+
+    logger.info('Access key creado', { shop, keyId: key.id });
+    return key;
+  } catch (error) {
+    logger.error('Error creando access key', { error });
+    throw error;
+  }
+}
+
+// Validar un access key y obtener la tienda asociada.
+// Los permisos, expiración e IPs se revisan en verifyExtensionKey.
+async function validateExtensionKey(accessKey) {
+  try {
+    const key = await ExtensionKey.findOne({
+      where: {
+        keyHash: hashAccessKey(accessKey),
+        isActive: true
+      },
+      include: [{
+        model: Shop,
+        where: { isActive: true }
+      }]
+    });
+
+    if (key) {
+      return {
+        keyId: key.id,
+        shop: key.shop,
+        accessToken: key.Shop.accessToken,
+        scopes: key.scopes,
+        expiresAt: key.expiresAt,
+        allowedIps: key.allowedIps
+      };
+    }
+
+    return null;
+  } catch (error) {
+    logger.error('Error validando access key', { error });
+    return null;
+  }
+}
+
+// Actualizar último uso (solo cuando el key pasó todas las validaciones)
+async function markExtensionKeyUsed(keyId) {
+  try {
+    await ExtensionKey.update({ lastUsedAt: new Date() }, { where: { id: keyId } });
+  } catch (error) {
+    logger.error('Error actualizando último uso del access key', { error });
+  }
+}
+
+// Obtener todos los access keys de una tienda
+async function getShopExtensionKeys(shop) {
+  try {
+    return await ExtensionKey.findAll({
+      where: {
+        shop,
+        isActive: true
+      },
+      order: [['createdAt', 'DESC']]
+    });
+  } catch (error) {
+    logger.error('Error obteniendo access keys', { error });
+    return [];
+  }
+}
+
+// Borrar TODOS los datos de una tienda (shop/redact y purga de tiendas desinstaladas)
+async function deleteShopData(shop) {
+  try {
+    logger.info('Borrando todos los datos de la tienda', { shop });
+
+    const deleted = await sequelize.transaction(async (transaction) => {
+      const shipmentIds = (await Shipment.findAll({
+        where: { shop },
+        attributes: ['id'],
+        transaction
+      })).map(s => s.id);
+
+      const keyIds = (await ExtensionKey.findAll({
+        where: { shop },
+        attributes: ['id'],
+        transaction
+      })).map(k => k.id);
+
+      // Baldes de rate limit de la tienda y de sus access keys (ver rate-limit.js)
+      const rateLimitBuckets = await RateLimitBucket.destroy({
+        where: { key: { [Op.in]: [`shop:${shop}`, ...keyIds.map(id => `key:${id}`)] } },
+        transaction
+      });
+
+      // Primero los registros que dependen de otros (tracking → guías → manifiestos → tienda)
+      const trackingEvents = shipmentIds.length > 0
+        ? await TrackingEvent.destroy({ where: { shipmentId: { [Op.in]: shipmentIds } }, transaction })
+        : 0;
+
+      return {
+        rateLimitBuckets,
+        trackingEvents,
+        shipments: await Shipment.destroy({ where: { shop }, transaction }),
+        manifests: await Manifest.destroy({ where: { shop }, transaction }),
+        orders: await Order.destroy({ where: { shop }, transaction }),
+        dataRequests: await DataRequest.destroy({ where: { shop }, transaction }),
+        auditEvents: await AuditEvent.destroy({ where: { shop }, transaction }),
+        keys: await ExtensionKey.destroy({ where: { shop }, transaction }),
+        senderConfigs: await SenderConfig.destroy({ where: { shop }, transaction }) +
+          await SenderProfile.destroy({ where: { shop }, transaction }),
+        oauthStates: await OAuthState.destroy({ where: { shop }, transaction }),
+        shops: await Shop.destroy({ where: { shop }, transaction })
+      };
+    });
+
+    logger.info('Datos de la tienda borrados', { shop, deleted });
+
+    return {
+      success: true,
+      deleted
+    };
+
+  } catch (error) {
+    logger.error('Error deleting shop data', { error });
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Tiendas desinstaladas antes de `uninstalledBefore` (pendientes de purga)
+async function getShopsToPurge(uninstalledBefore) {
+  try {
+    return await Shop.findAll({
+      where: {
+        isActive: false,
+        uninstalledAt: { [Op.lte]: uninstalledBefore }
+      },
+      order: [['uninstalledAt', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error obteniendo tiendas por purgar', { error });
+    return [];
+  }
+}
+
+// Revocar un access key por su id (o por el key completo, como antes del hash)
+async function revokeExtensionKey(keyId, shop, actor = null) {
+  try {
+    const where = { shop, isActive: true };
+
+    if (String(keyId).startsWith('sk_')) {
+      where.keyHash = hashAccessKey(keyId);
+    } else if (UUID_PATTERN.test(keyId)) {
+      where.id = keyId;
+    } else {
+      return false;
+    }
+
+    const revokedKey = await sequelize.transaction(async (transaction) => {
+      const key = await ExtensionKey.findOne({ where, transaction });
+      if (!key) return null;
+
+      const before = auditSnapshot(key, EXTENSION_KEY_AUDIT_FIELDS);
+      await key.update({ isActive: false }, { transaction });
+
+      await recordAuditEvent(shop, 'extension_key.revoked', {
+        actor,
+        resourceType: 'extension_key',
+        resourceId: key.id,
+        changes: diffChanges(before, auditSnapshot(key, EXTENSION_KEY_AUDIT_FIELDS)),
+        transaction
+      });
+
+      return key;
+    });
+
+    if (!revokedKey) return false;
+
+    logger.info('Access key revocado', { shop, keyId: revokedKey.id });
+    return true;
+  } catch (error) {
+    logger.error('Error revocando access key', { error });
+    return false;
+  }
+}
+
+// ============================================================================
+// SENDER PROFILES
+// ============================================================================
+
+async function listSenderProfiles(shop) {
+  try {
+    return await SenderProfile.findAll({
+      where: { shop },
+      order: [['isDefault', 'DESC'], ['createdAt', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error obteniendo perfiles de remitente', { error });
+    return [];
+  }
+}
+
+async function getSenderProfile(shop, id) {
+  try {
+    return await SenderProfile.findOne({
+      where: { id, shop }
+    });
+  } catch (error) {
+    logger.error('Error obteniendo perfil de remitente', { error });
+    return null;
+  }
+}
+
+async function getDefaultSenderProfile(shop) {
+  try {
+    return await SenderProfile.findOne({
+      where: { shop, isDefault: true }
+    });
+  } catch (error) {
+    logger.error('Error obteniendo perfil por defecto', { error });
+    return null;
+  }
+}
+
+// Crear un perfil. El primero de la tienda siempre queda como default.
+async function createSenderProfile(shop, data, actor = null) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const count = await SenderProfile.count({ where: { shop }, transaction });
+      const isDefault = count === 0 || Boolean(data.isDefault);
+
+      if (isDefault) {
+        await SenderProfile.update({ isDefault: false }, { where: { shop }, transaction });
+      }
+
+      const profile = await SenderProfile.create({
+        ...data,
+        shop,
+        isDefault
+      }, { transaction });
+
+      await recordAuditEvent(shop, 'sender_profile.created', {
+        actor,
+        resourceType: 'sender_profile',
+        resourceId: profile.id,
+        changes: diffChanges(null, auditSnapshot(profile, SENDER_PROFILE_AUDIT_FIELDS)),
+        transaction
+      });
+
+      logger.info('Perfil de remitente creado', { shop, senderProfileId: profile.id });
+      return profile;
+    });
+  } catch (error) {
+    logger.error('Error creando perfil de remitente', { error });
+    throw error;
+  }
+}
+
+async function updateSenderProfile(shop, id, data, actor = null) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const profile = await SenderProfile.findOne({ where: { id, shop }, transaction });
+      if (!profile) return null;
+
+      const before = auditSnapshot(profile, SENDER_PROFILE_AUDIT_FIELDS);
+      const { isDefault, ...fields } = data;
+
+      // Quitar el default solo se hace marcando otro perfil como default
+      if (isDefault && !profile.isDefault) {
+        await SenderProfile.update({ isDefault: false }, { where: { shop }, transaction });
+        fields.isDefault = true;
+      }
+
+      await profile.update({ ...fields, shop }, { transaction });
+
+      const changes = diffChanges(before, auditSnapshot(profile, SENDER_PROFILE_AUDIT_FIELDS));
+      if (Object.keys(changes).length > 0) {
+        await recordAuditEvent(shop, 'sender_profile.updated', {
+          actor,
+          resourceType: 'sender_profile',
+          resourceId: profile.id,
+          changes,
+          transaction
+        });
+      }
+
+      logger.info('Perfil de remitente actualizado', { shop, senderProfileId: profile.id });
+      return profile;
+    });
+  } catch (error) {
+    logger.error('Error actualizando perfil de remitente', { error });
+    throw error;
+  }
+}
+
+async function setDefaultSenderProfile(shop, id, actor = null) {
+  return updateSenderProfile(shop, id, { isDefault: true }, actor);
+}
+
+// Borrar un perfil. Si era el default, el perfil más antiguo pasa a serlo.
+async function deleteSenderProfile(shop, id, actor = null) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const profile = await SenderProfile.findOne({ where: { id, shop }, transaction });
+      if (!profile) return false;
+
+      await profile.destroy({ transaction });
+
+      await recordAuditEvent(shop, 'sender_profile.deleted', {
+        actor,
+        resourceType: 'sender_profile',
+        resourceId: profile.id,
+        changes: diffChanges(auditSnapshot(profile, SENDER_PROFILE_AUDIT_FIELDS), null),
+        transaction
+      });
+
+      if (profile.isDefault) {
+        const next = await SenderProfile.findOne({
+          where: { shop },
+          order: [['createdAt', 'ASC']],
+          transaction
+        });
+        if (next) {
+          await next.update({ isDefault: true }, { transaction });
+        }
+      }
+
+      logger.info('Perfil de remitente eliminado', { shop, senderProfileId: profile.id });
+      return true;
+    });
+  } catch (error) {
+    logger.error('Error eliminando perfil de remitente', { error });
+    throw error;
+  }
+}
+
+// ============================================================================
+// SENDER CONFIG (perfil por defecto, compatible con la API anterior)
+// ============================================================================
+
+async function saveSenderConfig(shop, config, actor = null) {
+  try {
+    const profile = await getDefaultSenderProfile(shop);
+
+    if (profile) {
+      return await updateSenderProfile(shop, profile.id, config, actor);
+    }
+
+    return await createSenderProfile(shop, { name: 'Principal', ...config, isDefault: true }, actor);
+  } catch (error) {
+    logger.error('Error guardando configuración', { error });
+    throw error;
+  }
+}
+
+async function getSenderConfig(shop) {
+  return getDefaultSenderProfile(shop);
+}
+
+// ============================================================================
+// SHIPMENTS
+// ============================================================================
+
+// Registrar una guía creada para un pedido
+async function createShipment(shop, data) {
+  try {
+    const shipment = await Shipment.create({
+      shop,
+      orderId: String(data.orderId),
+      orderName: data.orderName || null,
+      trackingNumber: data.trackingNumber,
+      senderSnapshot: data.senderSnapshot || null,
+      recipientSnapshot: data.recipientSnapshot || null,
+      labelPdf: data.labelPdf || null,
+      extensionKeyId: data.extensionKeyId || null,
+      senderProfileId: data.senderProfileId || null,
+      fulfillmentId: data.fulfillmentId ? String(data.fulfillmentId) : null,
+      lineItems: data.lineItems || null
+    });
+
+    logger.info('Guía registrada', { shop, shipmentId: shipment.id, trackingNumber: shipment.trackingNumber });
+    return shipment;
+  } catch (error) {
+    logger.error('Error registrando guía', { error });
+    throw error;
+  }
+}
+
+// Listar guías de una tienda (más recientes primero)
+async function getShipments(shop, filters = {}) {
+  try {
+    const where = { shop };
+
+    if (filters.orderId) {
+      where.orderId = String(filters.orderId);
+    }
+    if (filters.orderName) {
+      where.orderName = filters.orderName;
+    }
+    if (filters.trackingNumber) {
+      where.trackingNumber = filters.trackingNumber;
+    }
+    if (filters.fulfillmentId) {
+      where.fulfillmentId = String(filters.fulfillmentId);
+    }
+
+    const { rows, count } = await Shipment.findAndCountAll({
+      where,
+      order: [['createdAt', 'DESC']],
+      limit: filters.limit || 50,
+      offset: filters.offset || 0
+    });
+
+    return { shipments: rows, total: count };
+  } catch (error) {
+    logger.error('Error obteniendo guías', { error });
+    return { shipments: [], total: 0 };
+  }
+}
+
+async function getShipment(shop, id) {
+  try {
+    return await Shipment.findOne({
+      where: { id, shop }
+    });
+  } catch (error) {
+    logger.error('Error obteniendo guía', { error });
+    return null;
+  }
+}
+
+async function getShipmentsByIds(shop, ids) {
+  try {
+    return await Shipment.findAll({
+      where: {
+        shop,
+        id: { [Op.in]: ids }
+      }
+    });
+  } catch (error) {
+    logger.error('Error obteniendo guías', { error });
+    return [];
+  }
+}
+
+// Guía ya despachada en Shopify para ese pedido y número (para reintentos idempotentes)
+async function findFulfilledShipment(shop, orderId, trackingNumber) {
+  try {
+    return await Shipment.findOne({
+      where: {
+        shop,
+        orderId: String(orderId),
+        trackingNumber,
+        fulfillmentId: { [Op.ne]: null }
+      }
+    });
+  } catch (error) {
+    logger.error('Error buscando guía despachada', { error });
+    return null;
+  }
+}
+
+// Asociar un fulfillment de Shopify a la guía (la crea si no existía).
+// Si el fulfillment ya tenía guía y cambió el número, se reinicia su tracking.
+async function recordShipmentFulfillment(shop, data) {
+  try {
+    let shipment = null;
+
+    if (data.fulfillmentId) {
+      shipment = await Shipment.findOne({
+        where: { shop, fulfillmentId: String(data.fulfillmentId) }
+      });
+    }
+
+    if (!shipment) {
+      shipment = await Shipment.findOne({
+        where: {
+          shop,
+          orderId: String(data.orderId),
+          trackingNumber: data.trackingNumber
+        }
+      });
+    }
+
+    if (!shipment) {
+      return await createShipment(shop, data);
+    }
+
+    const changes = {
+      fulfillmentId: data.fulfillmentId ? String(data.fulfillmentId) : shipment.fulfillmentId,
+      orderName: shipment.orderName || data.orderName || null,
+      lineItems: data.lineItems || shipment.lineItems
+    };
+
+    if (shipment.trackingNumber !== data.trackingNumber) {
+      Object.assign(changes, {
+        trackingNumber: data.trackingNumber,
+        status: 'created',
+        lastEventAt: null,
+        lastCheckedAt: null
+      });
+    }
+
+    await shipment.update(changes);
+    return shipment;
+  } catch (error) {
+    logger.error('Error asociando fulfillment a la guía', { error });
+    throw error;
+  }
+}
+
+// No escribe en guías con los datos del cliente borrados, aunque el borrado llegue mientras
+// se consultaba el pedido
+async function updateShipmentRecipient(shipment, recipient) {
+  try {
+    await Shipment.update({ recipientSnapshot: recipient }, { where: { id: shipment.id, redactedAt: null } });
+  } catch (error) {
+    logger.error('Error guardando destinatario de la guía', { error });
+  }
+}
+
+// ============================================================================
+// ORDERS (cache)
+// ============================================================================
+
+// Guardar un pedido en el cache. Si ya hay una versión más nueva (webhook que llegó
+// tarde o sincronización vieja) se ignora. Devuelve true si se guardó.
+async function upsertOrder(shop, record) {
+  try {
+    const existing = await Order.findOne({ where: { shop, orderId: record.orderId } });
+
+    if (existing) {
+      if (new Date(existing.shopifyUpdatedAt) > new Date(record.shopifyUpdatedAt)) {
+        return false;
+      }
+      await existing.update(record);
+      return true;
+    }
+
+    try {
+      await Order.create({ ...record, shop });
+    } catch (error) {
+      // Otro webhook del mismo pedido lo creó al mismo tiempo
+      if (error.name !== 'SequelizeUniqueConstraintError') throw error;
+      return upsertOrder(shop, record);
+    }
+    return true;
+  } catch (error) {
+    logger.error('Error guardando pedido en cache', { error });
+    throw error;
+  }
+}
+
+// Sacar del cache un pedido que ya no existe en Shopify
+async function deleteCachedOrder(shop, orderId) {
+  try {
+    return await Order.destroy({ where: { shop, orderId: String(orderId) } });
+  } catch (error) {
+    logger.error('Error eliminando pedido del cache', { error });
+    throw error;
+  }
+}
+
+// LIKE '%texto%' con los comodines del texto escapados (viene del usuario)
+function containsCondition(column, text) {
+  const pattern = `%${text.replace(/[\\%_]/g, '\\$&')}%`;
+  return sequelize.literal(`"${column}" LIKE ${sequelize.escape(pattern)} ESCAPE '\\'`);
+}
+
+// Estado financiero: "cod" = pendiente con gateway contra entrega, "unpaid" agrupa varios estados
+function financialStatusCondition(statuses) {
+  if (statuses.includes('any')) return null;
+
+  return {
+    [Op.or]: statuses.map(status => {
+      if (status === 'cod') return { financialStatus: 'pending', isCashOnDelivery: true };
+      if (status === 'unpaid') return { financialStatus: { [Op.in]: UNPAID_STATUSES } };
+      return { financialStatus: status };
+    })
+  };
+}
+
+// Pedidos antes (next) o después (previous) del cursor en el orden (orderCreatedAt, orderId) DESC
+function pageCursorCondition({ direction, createdAt, orderId }) {
+  const op = direction === 'next' ? Op.lt : Op.gt;
+  const cursorDate = new Date(createdAt);
+
+  return {
+    [Op.or]: [
+      { orderCreatedAt: { [op]: cursorDate } },
+      { orderCreatedAt: cursorDate, orderId: { [op]: orderId } }
+    ]
+  };
+}
+
+// Una página de pedidos pendientes de envío del cache, más nuevos primero. Los filtros y el
+// cursor (ver parseOrderFilters) se aplican en la consulta. Devuelve { orders, hasMore }:
+// hasMore indica si hay más pedidos en la dirección del cursor.
+async function getPendingOrders(shop, filters = {}) {
+  try {
+    const where = { shop, isPending: true };
+    const conditions = [];
+
+    if (filters.createdAtMin || filters.createdAtMax) {
+      where.orderCreatedAt = {};
+      if (filters.createdAtMin) where.orderCreatedAt[Op.gte] = new Date(filters.createdAtMin);
+      if (filters.createdAtMax) where.orderCreatedAt[Op.lte] = new Date(filters.createdAtMax);
+    }
+
+    if (filters.financialStatus) {
+      const statusCondition = financialStatusCondition(filters.financialStatus);
+      if (statusCondition) conditions.push(statusCondition);
+    }
+
+    if (filters.tag) {
+      conditions.push(containsCondition('tags', `|${normalizeFilterValue(filters.tag)}|`));
+    }
+
+    if (filters.province) {
+      conditions.push(containsCondition('provinces', `|${normalizeFilterValue(filters.province)}|`));
+    }
+
+    // Texto en nombre, cliente o teléfonos; con 4+ dígitos también se busca el teléfono sin formato
+    if (filters.search) {
+      const search = normalizeFilterValue(filters.search);
+      const digits = search.replace(/\D/g, '');
+      conditions.push({
+        [Op.or]: [
+          containsCondition('searchText', search),
+          ...(digits.length >= 4 ? [containsCondition('searchDigits', digits)] : [])
+        ]
+      });
+    }
+
+    if (filters.cursor) {
+      conditions.push(pageCursorCondition(filters.cursor));
+    }
+
+    if (conditions.length > 0) {
+      where[Op.and] = conditions;
+    }
+
+    // Hacia atrás se recorre en orden ascendente desde el cursor y después se invierte
+    const sort = filters.cursor?.direction === 'previous' ? 'ASC' : 'DESC';
+    const limit = filters.limit || 50;
+
+    const rows = await Order.findAll({
+      where,
+      attributes: ['orderId', 'orderCreatedAt', 'data'],
+      order: [['orderCreatedAt', sort], ['orderId', sort]],
+      limit: limit + 1
     });
 
-    console.log(`✓ Access key creado para ${shop}`);
-    return key;
+    const orders = rows.slice(0, limit);
+    if (sort === 'ASC') orders.reverse();
+
+    return { orders, hasMore: rows.length > limit };
   } catch (error) {
-    console.error('Error creando access key:', error);
+    logger.error('Error obteniendo pedidos pendientes', { error });
     throw error;
   }
 }
 
-// Validar un access key y obtener la tienda asociada
-async function validateExtensionKey(accessKey) {
+async function markShopOrdersSynced(shop, syncedAt) {
   try {
-    const key = await ExtensionKey.findOne({
+    await Shop.update({ ordersSyncedAt: syncedAt }, { where: { shop } });
+  } catch (error) {
+    logger.error('Error guardando fecha de sincronización de pedidos', { error });
+  }
+}
+
+// ============================================================================
+// MANIFESTS
+// ============================================================================
+
+// Guías sin manifiesto de un perfil. Las guías sin perfil (anteriores a los perfiles)
+// se entregan con el perfil por defecto.
+function pendingManifestWhere(shop, senderProfileId, includeUnassigned) {
+  const profileCondition = includeUnassigned
+    ? { [Op.or]: [{ senderProfileId }, { senderProfileId: null }] }
+    : { senderProfileId };
+
+  return {
+    shop,
+    manifestId: null,
+    ...profileCondition
+  };
+}
+
+async function getPendingManifestShipments(shop, senderProfileId, includeUnassigned = false) {
+  try {
+    return await Shipment.findAll({
+      where: pendingManifestWhere(shop, senderProfileId, includeUnassigned),
+      order: [['createdAt', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error obteniendo guías pendientes de manifiesto', { error });
+    return [];
+  }
+}
+
+// Reintentos si otro cierre simultáneo del mismo perfil tomó el mismo número de manifiesto
+const CLOSE_MANIFEST_RETRIES = 2;
+
+// Cerrar un manifiesto con todas las guías pendientes del perfil.
+// Devuelve null si no hay guías pendientes.
+async function closeManifest(shop, senderProfile, options = {}, retries = CLOSE_MANIFEST_RETRIES) {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      const senderProfileId = senderProfile ? senderProfile.id : null;
+      const where = pendingManifestWhere(shop, senderProfileId, Boolean(senderProfile?.isDefault));
+
+      // En Postgres un cierre simultáneo espera estas filas y después ya no las ve pendientes
+      const shipments = await Shipment.findAll({
+        where,
+        order: [['createdAt', 'ASC']],
+        lock: transaction.LOCK.UPDATE,
+        transaction
+      });
+
+      if (shipments.length === 0) {
+        return null;
+      }
+
+      const lastSequence = await Manifest.max('sequence', {
+        where: { shop, senderProfileId },
+        transaction
+      });
+
+      const manifest = await Manifest.create({
+        shop,
+        senderProfileId,
+        sequence: (lastSequence || 0) + 1,
+        senderSnapshot: senderProfile ? senderProfile.toJSON() : null,
+        shipmentCount: shipments.length,
+        closedAt: new Date(),
+        extensionKeyId: options.extensionKeyId || null
+      }, { transaction });
+
+      await Shipment.update(
+        { manifestId: manifest.id },
+        {
+          where: { id: { [Op.in]: shipments.map(s => s.id) } },
+          transaction
+        }
+      );
+
+      logger.info('Manifiesto cerrado', { shop, manifestId: manifest.id, sequence: manifest.sequence, shipments: shipments.length });
+      return manifest;
+    });
+  } catch (error) {
+    // Se vuelve a leer todo: las guías pendientes pueden haber quedado en el otro manifiesto
+    if (error.name === 'SequelizeUniqueConstraintError' && retries > 0) {
+      return closeManifest(shop, senderProfile, options, retries - 1);
+    }
+    logger.error('Error cerrando manifiesto', { error });
+    throw error;
+  }
+}
+
+async function getManifests(shop, filters = {}) {
+  try {
+    const where = { shop };
+    if (filters.senderProfileId !== undefined) {
+      where.senderProfileId = filters.senderProfileId;
+    }
+
+    const { rows, count } = await Manifest.findAndCountAll({
+      where,
+      order: [['closedAt', 'DESC']],
+      limit: filters.limit || 50,
+      offset: filters.offset || 0
+    });
+
+    return { manifests: rows, total: count };
+  } catch (error) {
+    logger.error('Error obteniendo manifiestos', { error });
+    return { manifests: [], total: 0 };
+  }
+}
+
+async function getManifest(shop, id) {
+  try {
+    return await Manifest.findOne({
+      where: { id, shop },
+      include: [{ model: Shipment }],
+      order: [[Shipment, 'createdAt', 'ASC']]
+    });
+  } catch (error) {
+    logger.error('Error obteniendo manifiesto', { error });
+    return null;
+  }
+}
+
+// ============================================================================
+// TRACKING
+// ============================================================================
+
+// `stale`: sin movimiento en Correos por demasiado tiempo (ver markStaleShipments)
+const FINAL_SHIPMENT_STATUSES = ['delivered', 'failure', 'stale'];
+
+// Guías que todavía no llegan a un estado final (las menos consultadas primero)
+async function getOpenShipments(limit = 50) {
+  try {
+    return await Shipment.findAll({
       where: {
-        accessKey,
-        isActive: true
+        status: { [Op.notIn]: FINAL_SHIPMENT_STATUSES }
       },
       include: [{
         model: Shop,
         where: { isActive: true }
-      }]
+      }],
+      order: [['lastCheckedAt', 'ASC NULLS FIRST']],
+      limit
     });
+  } catch (error) {
+    logger.error('Error obteniendo guías abiertas', { error });
+    return [];
+  }
+}
 
-    if (key) {
-      // Actualizar último uso
-      await key.update({ lastUsedAt: new Date() });
+// Guardar un evento de tracking nuevo y actualizar el estado de la guía
+async function recordTrackingEvent(shipment, event) {
+  try {
+    const trackingEvent = await TrackingEvent.create({
+      shipmentId: shipment.id,
+      status: event.status || null,
+      code: event.code || null,
+      description: event.description || null,
+      location: event.location || null,
+      occurredAt: event.occurredAt
+    });
 
-      return {
-        shop: key.shop,
-        accessToken: key.Shop.accessToken
-      };
+    const changes = { lastEventAt: event.occurredAt };
+    if (event.status) {
+      changes.status = event.status;
     }
+    await shipment.update(changes);
 
-    return null;
+    return trackingEvent;
   } catch (error) {
-    console.error('Error validando access key:', error);
-    return null;
+    logger.error('Error guardando evento de tracking', { error });
+    throw error;
   }
 }
 
-// Obtener todos los access keys de una tienda
-async function getShopExtensionKeys(shop) {
+// Eventos con estado de Shopify que no se pudieron publicar, de guías con fulfillment y tiendas
+// activas, registrados desde `since`. Incluye la guía y la tienda (para publicarlos).
+async function getUnpushedTrackingEvents(statuses, since, limit = 50) {
   try {
-    return await ExtensionKey.findAll({
+    return await TrackingEvent.findAll({
       where: {
-        shop,
-        isActive: true
+        pushedToShopifyAt: null,
+        status: { [Op.in]: statuses },
+        createdAt: { [Op.gte]: since }
       },
-      order: [['createdAt', 'DESC']]
+      include: [{
+        model: Shipment,
+        where: { fulfillmentId: { [Op.ne]: null } },
+        include: [{
+          model: Shop,
+          where: { isActive: true }
+        }]
+      }],
+      order: [['occurredAt', 'ASC']],
+      limit
     });
   } catch (error) {
-    console.error('Error obteniendo access keys:', error);
+    logger.error('Error obteniendo eventos de tracking sin publicar', { error });
     return [];
   }
 }
 
-// Borrar TODOS los datos de una tienda
-async function deleteShopData(shop) {
+async function markTrackingEventPushed(trackingEvent) {
   try {
-    console.log(`🗑️ Deleting all data for shop: ${shop}`);
+    await trackingEvent.update({ pushedToShopifyAt: new Date() });
+  } catch (error) {
+    logger.error('Error marcando evento como enviado', { error });
+  }
+}
 
-    // Borrar todos los access keys de la tienda
-    const deletedKeys = await ExtensionKey.destroy({
-      where: { shop }
+// Dejar de consultar las guías abiertas sin ningún evento desde antes de `noEventsBefore`
+// (ej: número de guía mal digitado) o sin eventos nuevos desde antes de `lastEventBefore`
+async function markStaleShipments(noEventsBefore, lastEventBefore) {
+  try {
+    const [count] = await Shipment.update({ status: 'stale' }, {
+      where: {
+        status: { [Op.notIn]: FINAL_SHIPMENT_STATUSES },
+        [Op.or]: [
+          { lastEventAt: null, createdAt: { [Op.lt]: noEventsBefore } },
+          { lastEventAt: { [Op.lt]: lastEventBefore } }
+        ]
+      }
     });
+    return count;
+  } catch (error) {
+    logger.error('Error marcando guías sin movimiento', { error });
+    return 0;
+  }
+}
 
-    // Borrar todas las sessions de la tienda
-    const deletedSessions = await Session.destroy({
-      where: { shop }
-    });
+async function markShipmentChecked(shipment) {
+  try {
+    await shipment.update({ lastCheckedAt: new Date() });
+  } catch (error) {
+    logger.error('Error actualizando guía', { error });
+  }
+}
 
-    // Borrar configuración de sender (si existe)
-    const deletedSenderConfigs = await SenderConfig.destroy({
-      where: { shop }
+async function getTrackingEvents(shipmentId) {
+  try {
+    return await TrackingEvent.findAll({
+      where: { shipmentId },
+      order: [['occurredAt', 'ASC']]
     });
+  } catch (error) {
+    logger.error('Error obteniendo eventos de tracking', { error });
+    return [];
+  }
+}
 
-    console.log(`✅ Shop data deleted: ${deletedKeys} keys, ${deletedSessions} sessions, ${deletedSenderConfigs} configs`);
+// ============================================================================
+// DATA REQUESTS (GDPR)
+// ============================================================================
 
-    return {
-      success: true,
-      deleted: {
-        keys: deletedKeys,
-        sessions: deletedSessions,
-        senderConfigs: deletedSenderConfigs
-      }
+// Registrar una solicitud customers/data_request. Si Shopify reintenta el webhook
+// se devuelve la misma solicitud. null si la tienda nunca instaló la app (no hay datos).
+async function createDataRequest(shop, payload) {
+  try {
+    const shopRecord = await Shop.findByPk(shop);
+    if (!shopRecord) return null;
+
+    const shopifyRequestId = payload.data_request?.id ? String(payload.data_request.id) : null;
+    const values = {
+      shop,
+      shopifyRequestId,
+      customerId: payload.customer?.id ? String(payload.customer.id) : null,
+      customerEmail: payload.customer?.email || null,
+      customerPhone: payload.customer?.phone || null,
+      ordersRequested: (payload.orders_requested || []).map(String)
     };
 
+    if (!shopifyRequestId) {
+      return await DataRequest.create(values);
+    }
+
+    const [dataRequest] = await DataRequest.findOrCreate({
+      where: { shop, shopifyRequestId },
+      defaults: values
+    });
+    return dataRequest;
   } catch (error) {
-    console.error('❌ Error deleting shop data:', error);
-    return {
-      success: false,
-      error: error.message
-    };
+    logger.error('Error registrando solicitud de datos', { error });
+    throw error;
   }
 }
 
-// Revocar un access key
-async function revokeExtensionKey(accessKey, shop) {
+// Pedidos del cache de un cliente: los que indica Shopify más los que tienen su customerId.
+// Devuelve null si no hay cómo identificarlos.
+function customerOrdersWhere(shop, customerId, orderIds) {
+  const conditions = [];
+  if (orderIds.length > 0) conditions.push({ orderId: { [Op.in]: orderIds } });
+  if (customerId) conditions.push({ customerId: String(customerId) });
+
+  return conditions.length > 0 ? { shop, [Op.or]: conditions } : null;
+}
+
+// Todo lo que el backend guarda de un cliente en una tienda: pedidos en cache,
+// guías de esos pedidos y su historial de tracking
+async function collectCustomerData(shop, { customerId, orderIds = [] }) {
   try {
-    await ExtensionKey.update(
-      { isActive: false },
-      {
-        where: {
-          accessKey,
-          shop
-        }
-      }
-    );
+    const where = customerOrdersWhere(shop, customerId, orderIds);
+    const orders = where
+      ? await Order.findAll({ where, order: [['orderCreatedAt', 'ASC']] })
+      : [];
+
+    const allOrderIds = [...new Set([...orderIds, ...orders.map(o => o.orderId)])];
 
-    console.log(`✓ Access key revocado: ${accessKey.substring(0, 10)}...`);
+    const shipments = allOrderIds.length > 0
+      ? await Shipment.findAll({
+        where: { shop, orderId: { [Op.in]: allOrderIds } },
+        include: [{ model: TrackingEvent }],
+        order: [['createdAt', 'ASC'], [TrackingEvent, 'occurredAt', 'ASC']]
+      })
+      : [];
+
+    return { orders, shipments };
   } catch (error) {
-    console.error('Error revocando access key:', error);
+    logger.error('Error recopilando datos del cliente', { error });
+    throw error;
   }
 }
 
-// ============================================================================
-// SENDER CONFIG
-// ============================================================================
+async function saveDataRequestExport(dataRequest, exportData) {
+  try {
+    return await dataRequest.update({
+      exportData,
+      status: 'ready',
+      readyAt: new Date()
+    });
+  } catch (error) {
+    logger.error('Error guardando exportación de datos', { error });
+    throw error;
+  }
+}
 
-async function saveSenderConfig(shop, config) {
+async function getDataRequests(shop, filters = {}) {
   try {
-    const [senderConfig, created] = await SenderConfig.upsert({
-      shop,
-      ...config
+    const where = { shop };
+    if (filters.status) {
+      where.status = filters.status;
+    }
+
+    const { rows, count } = await DataRequest.findAndCountAll({
+      where,
+      attributes: { exclude: ['exportData'] },
+      order: [['createdAt', 'DESC']],
+      limit: filters.limit || 50,
+      offset: filters.offset || 0
+    });
+
+    return { dataRequests: rows, total: count };
+  } catch (error) {
+    logger.error('Error obteniendo solicitudes de datos', { error });
+    return { dataRequests: [], total: 0 };
+  }
+}
+
+async function getDataRequest(shop, id) {
+  try {
+    return await DataRequest.findOne({ where: { id, shop } });
+  } catch (error) {
+    logger.error('Error obteniendo solicitud de datos', { error });
+    return null;
+  }
+}
+
+// Borrar los datos de un cliente (customers/redact): sus pedidos del cache y sus solicitudes
+// de datos. Las guías se conservan para los manifiestos y el tracking, sin destinatario ni etiqueta.
+async function redactCustomerData(shop, { customerId, orderIds = [] }) {
+  try {
+    orderIds = orderIds.map(String);
+
+    return await sequelize.transaction(async (transaction) => {
+      const where = customerOrdersWhere(shop, customerId, orderIds);
+      const orders = where
+        ? await Order.findAll({ where, attributes: ['id', 'orderId'], transaction })
+        : [];
+
+      const allOrderIds = [...new Set([...orderIds, ...orders.map(o => o.orderId)])];
+
+      const deletedOrders = orders.length > 0
+        ? await Order.destroy({ where: { id: { [Op.in]: orders.map(o => o.id) } }, transaction })
+        : 0;
+
+      const [redactedShipments] = allOrderIds.length > 0
+        ? await Shipment.update(
+          { recipientSnapshot: null, labelPdf: null, redactedAt: new Date() },
+          { where: { shop, orderId: { [Op.in]: allOrderIds } }, transaction }
+        )
+        : [0];
+
+      const deletedDataRequests = customerId
+        ? await DataRequest.destroy({ where: { shop, customerId: String(customerId) }, transaction })
+        : 0;
+
+      return {
+        orders: deletedOrders,
+        shipments: redactedShipments,
+        dataRequests: deletedDataRequests
+      };
     });
+  } catch (error) {
+    logger.error('Error borrando datos del cliente', { error });
+    throw error;
+  }
+}
 
-    console.log(`✓ Configuración ${created ? 'creada' : 'actualizada'} para ${shop}`);
-    return senderConfig;
+// El comerciante entregó la exportación al cliente
+async function markDataRequestFulfilled(dataRequest) {
+  try {
+    return await dataRequest.update({
+      status: 'fulfilled',
+      fulfilledAt: new Date()
+    });
   } catch (error) {
-    console.error('Error guardando configuración:', error);
+    logger.error('Error marcando solicitud de datos como entregada', { error });
     throw error;
   }
 }
 
-async function getSenderConfig(shop) {
+// ============================================================================
+// RATE LIMIT
+// ============================================================================
+
+// Reintentos cuando otra instancia crea el mismo balde al mismo tiempo. Si se agotan, el error
+// llega al middleware de rate limit, que deja pasar el request.
+const RATE_LIMIT_BUCKET_RETRIES = 2;
+
+// Leer y actualizar un balde en una transacción (la fila queda bloqueada en Postgres hasta el commit).
+// `take` recibe el estado guardado ({ tokens, refilledAt } o null) y devuelve { state, ... }.
+async function updateRateLimitBucket(key, take, retries = RATE_LIMIT_BUCKET_RETRIES) {
   try {
-    return await SenderConfig.findOne({
-      where: { shop }
+    return await sequelize.transaction(async (transaction) => {
+      const bucket = await RateLimitBucket.findOne({ where: { key }, lock: transaction.LOCK.UPDATE, transaction });
+      const result = take(bucket ? { tokens: bucket.tokens, refilledAt: bucket.refilledAt.getTime() } : null);
+      const values = { tokens: result.state.tokens, refilledAt: new Date(result.state.refilledAt) };
+
+      if (bucket) {
+        await bucket.update(values, { transaction });
+      } else {
+        await RateLimitBucket.create({ key, ...values }, { transaction });
+      }
+      return result;
     });
   } catch (error) {
-    console.error('Error obteniendo configuración:', error);
-    return null;
+    // Otra instancia creó el mismo balde al mismo tiempo
+    if (error.name === 'SequelizeUniqueConstraintError' && retries > 0) {
+      return updateRateLimitBucket(key, take, retries - 1);
+    }
+    logger.error('Error actualizando rate limit', { error });
+    throw error;
   }
 }
 
@@ -443,27 +2328,98 @@ async function getSenderConfig(shop) {
 module.exports = {
   sequelize,
   Shop,
+  OAuthState,
   ExtensionKey,
   SenderConfig,
+  SenderProfile,
+  Shipment,
+  Order,
+  Manifest,
+  TrackingEvent,
+  DataRequest,
+  AuditEvent,
+  RateLimitBucket,
 
   // Funciones generales
+  migrator,
   initDatabase,
 
+  // Audit log
+  recordAuditEvent,
+  getAuditEvents,
+
   // Shops
   saveShopSession,
   getShopSession,
   deleteShopSession,
+  getActiveShops,
   getActiveShopsCount,
   deleteShopData,
+  getShopsToPurge,
+
+  // OAuth States
+  createOAuthState,
+  consumeOAuthState,
+  purgeExpiredOAuthStates,
 
   // Extension Keys
   generateAccessKey,
   createExtensionKey,
   validateExtensionKey,
+  markExtensionKeyUsed,
   getShopExtensionKeys,
   revokeExtensionKey,
 
-  // Sender Config
+  // Sender Config / Profiles
   saveSenderConfig,
-  getSenderConfig
+  getSenderConfig,
+  listSenderProfiles,
+  getSenderProfile,
+  getDefaultSenderProfile,
+  createSenderProfile,
+  updateSenderProfile,
+  setDefaultSenderProfile,
+  deleteSenderProfile,
+
+  // Shipments
+  createShipment,
+  getShipments,
+  getShipment,
+  getShipmentsByIds,
+  recordShipmentFulfillment,
+  findFulfilledShipment,
+  updateShipmentRecipient,
+
+  // Orders (cache)
+  upsertOrder,
+  deleteCachedOrder,
+  getPendingOrders,
+  markShopOrdersSynced,
+
+  // Manifests
+  getPendingManifestShipments,
+  closeManifest,
+  getManifests,
+  getManifest,
+
+  // Tracking
+  getOpenShipments,
+  recordTrackingEvent,
+  getUnpushedTrackingEvents,
+  markTrackingEventPushed,
+  markStaleShipments,
+  markShipmentChecked,
+  getTrackingEvents,
+
+  // Data Requests (GDPR)
+  createDataRequest,
+  collectCustomerData,
+  saveDataRequestExport,
+  getDataRequests,
+  getDataRequest,
+  markDataRequestFulfilled,
+  redactCustomerData,
+
+  // Rate limit
+  updateRateLimitBucket
 };
@@ -0,0 +1,145 @@
+// fulfillments.js - Fulfillments de Shopify usando la API de FulfillmentOrders.
+// Todas las funciones reciben un cliente de shopify-client.js
+
+const { ShopifyNotFoundError } = require('./shopify-client');
+
+// Solo estos fulfillment orders aceptan fulfillments nuevos
+const FULFILLABLE_STATUSES = ['open', 'in_progress'];
+
+class FulfillmentError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'FulfillmentError';
+    this.status = status;
+  }
+}
+
+// Fulfillment orders del pedido que todavía se pueden despachar
+async function getFulfillableOrders(shopify, orderId) {
+  const response = await shopify.get(`orders/${orderId}/fulfillment_orders.json`);
+
+  return response.data.fulfillment_orders.filter(fo =>
+    FULFILLABLE_STATUSES.includes(fo.status) &&
+    fo.line_items.some(item => item.fulfillable_quantity > 0)
+  );
+}
+
+// Armar `line_items_by_fulfillment_order`.
+// Sin `lineItems` se despacha todo lo pendiente; con `lineItems` ([{ line_item_id, quantity }])
+// solo esas cantidades, repartidas entre los fulfillment orders que las contengan.
+function buildLineItemsByFulfillmentOrder(fulfillmentOrders, lineItems = null) {
+  if (!lineItems || lineItems.length === 0) {
+    return fulfillmentOrders.map(fo => ({ fulfillment_order_id: fo.id }));
+  }
+
+  const groups = new Map();
+
+  for (const requested of lineItems) {
+    if (!requested || typeof requested !== 'object' || !requested.line_item_id) {
+      throw new FulfillmentError('Cada line item debe ser { line_item_id, quantity }', 400);
+    }
+
+    const lineItemId = String(requested.line_item_id);
+    let remaining = Number(requested.quantity);
+
+    if (!Number.isInteger(remaining) || remaining < 1) {
+      throw new FulfillmentError(`Cantidad inválida para line item ${lineItemId}`, 400);
+    }
+
+    for (const fo of fulfillmentOrders) {
+      const foLineItem = fo.line_items.find(item =>
+        String(item.line_item_id) === lineItemId && item.fulfillable_quantity > 0
+      );
+      if (!foLineItem || remaining === 0) continue;
+
+      const quantity = Math.min(remaining, foLineItem.fulfillable_quantity);
+      remaining -= quantity;
+
+      if (!groups.has(fo.id)) {
+        groups.set(fo.id, []);
+      }
+      groups.get(fo.id).push({ id: foLineItem.id, quantity });
+    }
+
+    if (remaining > 0) {
+      throw new FulfillmentError(`Line item ${lineItemId} no tiene suficientes unidades pendientes de envío`);
+    }
+  }
+
+  return [...groups.entries()].map(([fulfillmentOrderId, items]) => ({
+    fulfillment_order_id: fulfillmentOrderId,
+    fulfillment_order_line_items: items
+  }));
+}
+
+function buildTrackingInfo({ trackingNumber, trackingCompany, trackingUrl }) {
+  const trackingInfo = {
+    number: trackingNumber,
+    company: trackingCompany
+  };
+  if (trackingUrl) {
+    trackingInfo.url = trackingUrl;
+  }
+  return trackingInfo;
+}
+
+// Crear un fulfillment con tracking para un pedido (completo o parcial)
+async function createFulfillment(shopify, orderId, options) {
+  const fulfillmentOrders = await getFulfillableOrders(shopify, orderId);
+
+  if (fulfillmentOrders.length === 0) {
+    throw new FulfillmentError('El pedido no tiene artículos pendientes de envío', 409);
+  }
+
+  const response = await shopify.post('fulfillments.json', {
+    fulfillment: {
+      line_items_by_fulfillment_order: buildLineItemsByFulfillmentOrder(fulfillmentOrders, options.lineItems),
+      tracking_info: buildTrackingInfo(options),
+      notify_customer: options.notifyCustomer !== false
+    }
+  });
+
+  return response.data.fulfillment;
+}
+
+// Fulfillment de un pedido; 404 si no existe o es de otro pedido
+async function getOrderFulfillment(shopify, orderId, fulfillmentId) {
+  let fulfillment;
+
+  try {
+    const response = await shopify.get(`orders/${orderId}/fulfillments/${fulfillmentId}.json`);
+    fulfillment = response.data.fulfillment;
+  } catch (error) {
+    if (!(error instanceof ShopifyNotFoundError)) throw error;
+  }
+
+  if (!fulfillment || String(fulfillment.order_id) !== String(orderId)) {
+    throw new FulfillmentError('El fulfillment no existe o no pertenece al pedido', 404);
+  }
+
+  return fulfillment;
+}
+
+// Cambiar el tracking de un fulfillment existente del pedido. Se verifica primero que sea
+// de ese pedido, porque la guía y el audit log se registran con `orderId`.
+async function updateFulfillmentTracking(shopify, orderId, fulfillmentId, options) {
+  await getOrderFulfillment(shopify, orderId, fulfillmentId);
+
+  const response = await shopify.post(`fulfillments/${fulfillmentId}/update_tracking.json`, {
+    fulfillment: {
+      tracking_info: buildTrackingInfo(options),
+      notify_customer: options.notifyCustomer !== false
+    }
+  });
+
+  return response.data.fulfillment;
+}
+
+module.exports = {
+  FulfillmentError,
+  getFulfillableOrders,
+  buildLineItemsByFulfillmentOrder,
+  createFulfillment,
+  getOrderFulfillment,
+  updateFulfillmentTracking
+};
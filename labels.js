@@ -0,0 +1,138 @@
+// labels.js - Etiquetas de envío en PDF (4x6 o A6) con código de barras Code128
+
+const PDFDocument = require('pdfkit');
+const bwipjs = require('bwip-js');
+
+// Tamaños en puntos (1 pulgada = 72 pt)
+const LABEL_SIZES = {
+  '4x6': [288, 432],
+  a6: [297.64, 419.53]
+};
+
+const MARGIN = 14;
+
+function renderBarcode(text) {
+  return bwipjs.toBuffer({
+    bcid: 'code128',
+    text,
+    scale: 3,
+    height: 14,
+    includetext: true,
+    textxalign: 'center',
+    textsize: 10
+  });
+}
+
+function locationLine(location) {
+  if (!location) return '';
+  return [location.district?.name, location.canton?.name, location.province?.name].filter(Boolean).join(', ');
+}
+
+// Bloque con título + líneas de texto; devuelve la `y` donde termina
+function drawBlock(doc, title, lines, y, width) {
+  doc.font('Helvetica-Bold').fontSize(7).fillColor('#555555').text(title.toUpperCase(), MARGIN, y);
+  doc.fillColor('#000000');
+
+  let first = true;
+  for (const line of lines.filter(Boolean)) {
+    doc.font(first ? 'Helvetica-Bold' : 'Helvetica')
+      .fontSize(first ? 11 : 9)
+      .text(line, MARGIN, doc.y + (first ? 2 : 1), { width });
+    first = false;
+  }
+
+  return doc.y;
+}
+
+function drawDivider(doc, y, pageWidth) {
+  doc.moveTo(MARGIN, y).lineTo(pageWidth - MARGIN, y).lineWidth(0.8).stroke();
+}
+
+// Dibujar una etiqueta en la página actual.
+// `label` = { trackingNumber, orderName, sender: { name, phone, address, location, postalCode },
+//             recipient: { name, phone, address, location, postalCode } }
+async function drawLabel(doc, label, [pageWidth, pageHeight]) {
+  const contentWidth = pageWidth - MARGIN * 2;
+  const { sender, recipient } = label;
+
+  // Encabezado
+  doc.font('Helvetica-Bold').fontSize(12).text('Correos de Costa Rica', MARGIN, MARGIN);
+  if (label.orderName) {
+    doc.font('Helvetica-Bold').fontSize(12).text(label.orderName, MARGIN, MARGIN, {
+      width: contentWidth,
+      align: 'right'
+    });
+  }
+  drawDivider(doc, MARGIN + 20, pageWidth);
+
+  // Remitente
+  let y = drawBlock(doc, 'Remitente', [
+    sender.name,
+    sender.phone && `Tel: ${sender.phone}`,
+    sender.address,
+    [locationLine(sender.location), sender.postalCode].filter(Boolean).join(' - ')
+  ], MARGIN + 26, contentWidth);
+
+  drawDivider(doc, y + 6, pageWidth);
+
+  // Destinatario
+  y = drawBlock(doc, 'Destinatario', [
+    recipient.name,
+    recipient.phone && `Tel: ${recipient.phone}`,
+    recipient.address,
+    locationLine(recipient.location)
+  ], y + 12, contentWidth);
+
+  // Código postal de destino en grande
+  if (recipient.postalCode) {
+    doc.font('Helvetica-Bold').fontSize(28).text(recipient.postalCode, MARGIN, y + 8, {
+      width: contentWidth,
+      align: 'center'
+    });
+    if (recipient.location?.district?.name) {
+      doc.font('Helvetica').fontSize(9).text(recipient.location.district.name.toUpperCase(), MARGIN, doc.y, {
+        width: contentWidth,
+        align: 'center'
+      });
+    }
+  }
+
+  // Código de barras al pie
+  const barcode = await renderBarcode(label.trackingNumber);
+  const barcodeHeight = 80;
+  doc.image(barcode, MARGIN, pageHeight - MARGIN - barcodeHeight, {
+    fit: [contentWidth, barcodeHeight],
+    align: 'center',
+    valign: 'bottom'
+  });
+  drawDivider(doc, pageHeight - MARGIN - barcodeHeight - 6, pageWidth);
+}
+
+// Generar un PDF con una página por etiqueta
+async function renderLabels(labels, size = '4x6') {
+  const pageSize = LABEL_SIZES[size];
+  if (!pageSize) {
+    throw new Error(`Tamaño de etiqueta inválido: ${size}`);
+  }
+
+  const doc = new PDFDocument({ size: pageSize, margin: MARGIN, autoFirstPage: false });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  for (const label of labels) {
+    doc.addPage({ size: pageSize, margin: MARGIN });
+    await drawLabel(doc, label, pageSize);
+  }
+
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  LABEL_SIZES,
+  renderLabels
+};
@@ -0,0 +1,242 @@
+// logger.js - Logs estructurados (una línea JSON por entrada) con niveles, contexto por request
+// (requestId, tienda, método de autenticación) y redacción de secretos y datos personales
+
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100
+};
+
+const LOG_LEVEL = Object.hasOwn(LEVELS, process.env.LOG_LEVEL || '') ? process.env.LOG_LEVEL : 'info';
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+// Se respeta el X-Request-Id que manda el cliente (o un proxy) si tiene un formato razonable
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+const REDACTED = '[REDACTED]';
+const MAX_DEPTH = 8;
+
+// Campos que nunca se escriben. Se comparan en minúsculas y sin '-' ni '_'
+// (access_token, accessToken y X-Shopify-Access-Token caen en la misma regla).
+const SECRET_FIELDS = new Set([
+  'accesstoken',
+  'xshopifyaccesstoken',
+  'authorization',
+  'sessiontoken',
+  'idtoken',
+  'token',
+  'hmac',
+  'xshopifyhmacsha256',
+  'signature',
+  'clientsecret',
+  'apisecret',
+  'secret',
+  'password',
+  'accesskey',
+  'plainkey',
+  'keyhash',
+  'keyprefix',
+  'encryptionkeys',
+  'labelpdf'
+]);
+
+// Datos personales de clientes y remitentes (objetos completos o campos sueltos)
+const PII_FIELDS = new Set([
+  'email',
+  'phone',
+  'firstname',
+  'lastname',
+  'address1',
+  'address2',
+  'zip',
+  'customer',
+  'customeremail',
+  'customerphone',
+  'shippingaddress',
+  'billingaddress',
+  'recipient',
+  'recipientsnapshot',
+  'sendersnapshot',
+  'senderid',
+  'sendername',
+  'senderphone',
+  'sendermail',
+  'senderdirection'
+]);
+
+// Secretos dentro de textos libres (mensajes, URLs, respuestas de Shopify)
+const SECRET_PATTERNS = [
+  [/\bsk_[A-Za-z0-9]+/g, `sk_${REDACTED}`],
+  [/\bshp(at|ca|pa|ss|ua)_[A-Za-z0-9]+/g, `shp$1_${REDACTED}`],
+  [/\benc:[\w-]+:[A-Za-z0-9+/=:]+/g, `enc:${REDACTED}`],
+  [/\beyJ[\w-]*\.[\w-]+\.[\w-]*/g, REDACTED],
+  [/\b(Bearer)\s+\S+/gi, `$1 ${REDACTED}`],
+  [/([?&](?:hmac|signature|code|access_token|id_token|session)=)[^&\s]+/gi, `$1${REDACTED}`],
+  [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g, REDACTED]
+];
+
+function normalizeField(name) {
+  return String(name).toLowerCase().replace(/[-_]/g, '');
+}
+
+function redactString(value) {
+  return SECRET_PATTERNS.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+// ShopifyApiError, CorreosError, errores de Sequelize, etc.: nombre, mensaje y los campos útiles
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: error.message
+  };
+
+  for (const field of ['code', 'status', 'httpStatus', 'errors', 'retryAfter']) {
+    if (error[field] !== undefined && error[field] !== null) serialized[field] = error[field];
+  }
+  if (error.response?.data !== undefined && !serialized.errors) {
+    serialized.errors = error.response.data;
+  }
+  if (error.stack) {
+    serialized.stack = error.stack;
+  }
+
+  return serialized;
+}
+
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (value === null || value === undefined) return value;
+  if (typeof value === 'string') return redactString(value);
+  if (typeof value !== 'object') return value;
+  if (value instanceof Date) return value.toISOString();
+  if (Buffer.isBuffer(value)) return `[Buffer ${value.length} bytes]`;
+  if (value instanceof Error) return redact(serializeError(value), depth, seen);
+  if (depth >= MAX_DEPTH || seen.has(value)) return '[...]';
+
+  seen.add(value);
+
+  // Instancias de Sequelize
+  if (typeof value.toJSON === 'function' && !Array.isArray(value)) {
+    return redact(value.toJSON(), depth, seen);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1, seen));
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    const field = normalizeField(key);
+    if (item !== null && item !== undefined && (SECRET_FIELDS.has(field) || PII_FIELDS.has(field))) {
+      result[key] = REDACTED;
+    } else {
+      result[key] = redact(item, depth + 1, seen);
+    }
+  }
+  return result;
+}
+
+// ============================================================================
+// CONTEXTO POR REQUEST
+// ============================================================================
+
+const storage = new AsyncLocalStorage();
+
+function getLogContext() {
+  return storage.getStore() || {};
+}
+
+// Agregar campos (ej: tienda y método de autenticación) a los logs del request en curso
+function setLogContext(fields) {
+  const store = storage.getStore();
+  if (store) Object.assign(store, fields);
+}
+
+// Correr `fn` con un contexto propio (ej: una corrida de un worker)
+function runWithLogContext(context, fn) {
+  return storage.run({ ...context }, fn);
+}
+
+// ============================================================================
+// LOGGER
+// ============================================================================
+
+function writeLine(level, line) {
+  const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+  stream.write(line + '\n');
+}
+
+// `bindings` se agrega a todas las entradas (ej: { worker: 'tracking' }).
+// `level` y `write` se pueden reemplazar en pruebas.
+function createLogger(bindings = {}, { level = LOG_LEVEL, write = writeLine } = {}) {
+  const threshold = LEVELS[level];
+
+  function log(entryLevel, message, fields = {}) {
+    if (LEVELS[entryLevel] < threshold) return;
+
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: message,
+      ...getLogContext(),
+      ...bindings,
+      ...fields
+    });
+
+    write(entryLevel, JSON.stringify(entry));
+  }
+
+  return {
+    level,
+    debug: (message, fields) => log('debug', message, fields),
+    info: (message, fields) => log('info', message, fields),
+    warn: (message, fields) => log('warn', message, fields),
+    error: (message, fields) => log('error', message, fields),
+    child: (childBindings) => createLogger({ ...bindings, ...childBindings }, { level, write })
+  };
+}
+
+const logger = createLogger();
+
+// Middleware: X-Request-Id en la respuesta, contexto para los logs del request
+// y una línea al terminar con método, ruta, status y duración
+function requestLogger() {
+  return (req, res, next) => {
+    const incoming = req.get(REQUEST_ID_HEADER);
+    const requestId = REQUEST_ID_PATTERN.test(incoming || '') ? incoming : crypto.randomUUID();
+    const context = { requestId };
+    const startedAt = process.hrtime.bigint();
+
+    req.requestId = requestId;
+    res.set(REQUEST_ID_HEADER, requestId);
+
+    res.on('finish', () => {
+      storage.run(context, () => {
+        logger[res.statusCode >= 500 ? 'error' : 'info']('Request', {
+          method: req.method,
+          path: req.originalUrl.split('?')[0],
+          status: res.statusCode,
+          durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6)
+        });
+      });
+    });
+
+    storage.run(context, next);
+  };
+}
+
+module.exports = {
+  LOG_LEVEL,
+  REQUEST_ID_HEADER,
+  logger,
+  createLogger,
+  redact,
+  getLogContext,
+  setLogContext,
+  runWithLogContext,
+  requestLogger
+};
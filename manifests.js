@@ -0,0 +1,197 @@
+// manifests.js - Manifiesto diario de entrega a Correos (PDF imprimible y CSV)
+
+const PDFDocument = require('pdfkit');
+const { escapeCsv } = require('./csv');
+
+const MARGIN = 40;
+const PAGE_SIZE = 'LETTER';
+
+// Columnas de la tabla del PDF: [título, ancho en puntos]
+const PDF_COLUMNS = [
+  ['#', 24],
+  ['Guía', 110],
+  ['Pedido', 60],
+  ['Destinatario', 150],
+  ['Distrito destino', 120],
+  ['C.P.', 40],
+  ['Bultos', 28]
+];
+
+const CSV_COLUMNS = [
+  'sequence',
+  'tracking_number',
+  'order_name',
+  'recipient_name',
+  'recipient_phone',
+  'destination_province',
+  'destination_canton',
+  'destination_district',
+  'postal_code',
+  'packages'
+];
+
+// Cada guía de Correos corresponde a un bulto
+const PACKAGES_PER_SHIPMENT = 1;
+
+// Filas del manifiesto a partir de las guías (en el orden en que se crearon)
+function buildManifestRows(shipments) {
+  return shipments.map((shipment, index) => {
+    const recipient = shipment.recipientSnapshot || {};
+    const location = recipient.location || {};
+
+    return {
+      sequence: index + 1,
+      tracking_number: shipment.trackingNumber,
+      order_name: shipment.orderName || '',
+      recipient_name: recipient.name || '',
+      recipient_phone: recipient.phone || '',
+      destination_province: location.province?.name || '',
+      destination_canton: location.canton?.name || '',
+      destination_district: location.district?.name || '',
+      postal_code: recipient.postalCode || location.postal_code || '',
+      packages: PACKAGES_PER_SHIPMENT
+    };
+  });
+}
+
+function formatManifestNumber(manifest) {
+  return String(manifest.sequence).padStart(4, '0');
+}
+
+function formatDate(date) {
+  return new Date(date).toLocaleString('es-CR', { timeZone: 'America/Costa_Rica' });
+}
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+function renderManifestCsv(manifest, shipments) {
+  const rows = buildManifestRows(shipments);
+  const lines = [CSV_COLUMNS.join(',')];
+
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(column => escapeCsv(row[column])).join(','));
+  }
+
+  // BOM para que Excel abra las tildes correctamente
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+// ============================================================================
+// PDF
+// ============================================================================
+
+function drawHeader(doc, manifest, totals) {
+  const sender = manifest.senderSnapshot || {};
+  const contentWidth = doc.page.width - MARGIN * 2;
+
+  doc.font('Helvetica-Bold').fontSize(16).text('Manifiesto de entrega - Correos de Costa Rica', MARGIN, MARGIN);
+  doc.font('Helvetica-Bold').fontSize(12).text(`N.º ${formatManifestNumber(manifest)}`, MARGIN, MARGIN, {
+    width: contentWidth,
+    align: 'right'
+  });
+
+  doc.moveDown(0.6);
+  doc.font('Helvetica').fontSize(9);
+  doc.text(`Tienda: ${manifest.shop}`);
+  if (sender.name) doc.text(`Punto de recolección: ${sender.name}`);
+  if (sender.senderName) {
+    doc.text(`Remitente: ${sender.senderName}${sender.senderId ? ` (${sender.senderId})` : ''}`);
+  }
+  if (sender.senderDirection) doc.text(`Dirección: ${sender.senderDirection}`);
+  if (sender.senderPhone) doc.text(`Teléfono: ${sender.senderPhone}`);
+  doc.text(`Cerrado: ${formatDate(manifest.closedAt)}`);
+  doc.text(`Guías: ${totals.shipments}    Bultos: ${totals.packages}`);
+  doc.moveDown(0.8);
+}
+
+function drawRow(doc, values, y, bold = false) {
+  let x = MARGIN;
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+
+  PDF_COLUMNS.forEach(([, width], index) => {
+    doc.text(String(values[index] ?? ''), x + 2, y, { width: width - 4, height: 20, ellipsis: true });
+    x += width;
+  });
+}
+
+function drawTableHeader(doc, y) {
+  drawRow(doc, PDF_COLUMNS.map(([title]) => title), y, true);
+  doc.moveTo(MARGIN, y + 11).lineTo(doc.page.width - MARGIN, y + 11).lineWidth(0.8).stroke();
+  return y + 15;
+}
+
+function drawSignatures(doc, y) {
+  const width = (doc.page.width - MARGIN * 2 - 40) / 2;
+  const lineY = y + 40;
+
+  doc.moveTo(MARGIN, lineY).lineTo(MARGIN + width, lineY).lineWidth(0.8).stroke();
+  doc.moveTo(MARGIN + width + 40, lineY).lineTo(MARGIN + width * 2 + 40, lineY).stroke();
+
+  doc.font('Helvetica').fontSize(8);
+  doc.text('Entregado por (nombre y firma)', MARGIN, lineY + 4, { width });
+  doc.text('Recibido por Correos (nombre, firma y fecha)', MARGIN + width + 40, lineY + 4, { width });
+}
+
+function renderManifestPdf(manifest, shipments) {
+  const rows = buildManifestRows(shipments);
+  const totals = {
+    shipments: rows.length,
+    packages: rows.reduce((sum, row) => sum + row.packages, 0)
+  };
+
+  const doc = new PDFDocument({ size: PAGE_SIZE, margin: MARGIN });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise((resolve, reject) => {
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+  });
+
+  drawHeader(doc, manifest, totals);
+
+  const rowHeight = 14;
+  const bottom = doc.page.height - MARGIN;
+  let y = drawTableHeader(doc, doc.y);
+
+  for (const row of rows) {
+    if (y + rowHeight > bottom) {
+      doc.addPage();
+      y = drawTableHeader(doc, MARGIN);
+    }
+
+    drawRow(doc, [
+      row.sequence,
+      row.tracking_number,
+      row.order_name,
+      row.recipient_name,
+      [row.destination_district, row.destination_canton].filter(Boolean).join(', '),
+      row.postal_code,
+      row.packages
+    ], y);
+    y += rowHeight;
+  }
+
+  // Totales y firmas (en una página nueva si no caben)
+  if (y + 90 > bottom) {
+    doc.addPage();
+    y = MARGIN;
+  }
+
+  doc.moveTo(MARGIN, y).lineTo(doc.page.width - MARGIN, y).lineWidth(0.8).stroke();
+  doc.font('Helvetica-Bold').fontSize(9)
+    .text(`Total: ${totals.shipments} guías, ${totals.packages} bultos`, MARGIN, y + 4);
+
+  drawSignatures(doc, y + 20);
+
+  doc.end();
+  return finished;
+}
+
+module.exports = {
+  buildManifestRows,
+  formatManifestNumber,
+  renderManifestCsv,
+  renderManifestPdf
+};
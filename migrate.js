@@ -0,0 +1,64 @@
+// migrate.js - CLI de migraciones del esquema
+//
+//   node migrate.js up [hasta]   aplica las pendientes (opcionalmente hasta la indicada, ej: 007-create-oauth-states)
+//   node migrate.js down [n]     revierte las últimas n aplicadas (1 por defecto)
+//   node migrate.js status       muestra las aplicadas y las pendientes
+
+require('dotenv').config();
+
+const { sequelize, migrator } = require('./database');
+
+const USAGE = 'Uso: node migrate.js <up [hasta] | down [n] | status>';
+
+function formatDate(value) {
+  return new Date(value).toISOString().replace('T', ' ').slice(0, 19);
+}
+
+async function printStatus() {
+  const migrations = await migrator.status();
+
+  for (const migration of migrations) {
+    if (migration.missing) {
+      console.log(`  ? ${migration.name}  aplicada ${formatDate(migration.appliedAt)} (no se encontró el archivo)`);
+    } else if (migration.appliedAt) {
+      console.log(`  ✓ ${migration.name}  aplicada ${formatDate(migration.appliedAt)}${migration.reversible ? '' : ' (irreversible)'}`);
+    } else {
+      console.log(`  · ${migration.name}  pendiente`);
+    }
+  }
+
+  const pending = migrations.filter(migration => !migration.appliedAt).length;
+  console.log(pending > 0 ? `${pending} migraciones pendientes` : 'Esquema al día');
+}
+
+async function main([command, arg]) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrator.up({ to: arg || null });
+      console.log(applied.length > 0 ? `${applied.length} migraciones aplicadas` : 'No hay migraciones pendientes');
+      break;
+    }
+    case 'down': {
+      const steps = arg === undefined ? 1 : Number(arg);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error('n debe ser un entero positivo');
+      }
+      const reverted = await migrator.down({ steps });
+      console.log(reverted.length > 0 ? `${reverted.length} migraciones revertidas` : 'No hay migraciones aplicadas');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    default:
+      console.error(USAGE);
+      process.exitCode = 1;
+  }
+}
+
+main(process.argv.slice(2))
+  .catch(error => {
+    console.error('✗ Error en migraciones:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => sequelize.close());
@@ -0,0 +1,63 @@
+// 001 - Esquema inicial: tiendas instaladas, access keys de la extensión y remitente (legacy)
+
+module.exports = {
+  async up({ createTable, addIndex, DataTypes }) {
+    await createTable('shops', {
+      shop: { type: DataTypes.STRING, primaryKey: true, allowNull: false },
+      accessToken: { type: DataTypes.STRING, allowNull: false },
+      scope: { type: DataTypes.STRING },
+      installedAt: { type: DataTypes.DATE },
+      uninstalledAt: { type: DataTypes.DATE, allowNull: true },
+      isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+
+    await createTable('extension_keys', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      accessKey: { type: DataTypes.STRING(255), allowNull: false },
+      name: { type: DataTypes.STRING, allowNull: true },
+      lastUsedAt: { type: DataTypes.DATE, allowNull: true },
+      isActive: { type: DataTypes.BOOLEAN, defaultValue: true },
+      createdAt: { type: DataTypes.DATE },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('extension_keys', ['accessKey'], { name: 'extension_keys_access_key_unique', unique: true });
+
+    await createTable('sender_configs', {
+      shop: {
+        type: DataTypes.STRING,
+        primaryKey: true,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      senderIdentificationType: { type: DataTypes.STRING, defaultValue: '1' },
+      senderId: { type: DataTypes.STRING, allowNull: true },
+      senderName: { type: DataTypes.STRING, allowNull: true },
+      senderPhone: { type: DataTypes.STRING, allowNull: true },
+      senderMail: { type: DataTypes.STRING, allowNull: true },
+      provinciaSender: { type: DataTypes.STRING, defaultValue: '1' },
+      cantonSender: { type: DataTypes.STRING, defaultValue: '1' },
+      distritoSender: { type: DataTypes.STRING, defaultValue: '1' },
+      senderPostalCode: { type: DataTypes.STRING, allowNull: true },
+      senderDirection: { type: DataTypes.STRING, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('sender_configs');
+    await dropTable('extension_keys');
+    await dropTable('shops');
+  }
+};
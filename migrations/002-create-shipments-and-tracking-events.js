@@ -0,0 +1,58 @@
+// 002 - Guías generadas por pedido e historial de tracking de cada guía
+
+module.exports = {
+  async up({ createTable, addIndex, DataTypes }) {
+    await createTable('shipments', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      orderId: { type: DataTypes.STRING, allowNull: false },
+      orderName: { type: DataTypes.STRING, allowNull: true },
+      trackingNumber: { type: DataTypes.STRING, allowNull: false },
+      senderSnapshot: { type: DataTypes.JSON, allowNull: true },
+      recipientSnapshot: { type: DataTypes.JSON, allowNull: true },
+      labelPdf: { type: DataTypes.TEXT, allowNull: true },
+      senderProfileId: { type: DataTypes.UUID, allowNull: true },
+      extensionKeyId: { type: DataTypes.UUID, allowNull: true },
+      fulfillmentId: { type: DataTypes.STRING, allowNull: true },
+      lineItems: { type: DataTypes.JSON, allowNull: true },
+      status: { type: DataTypes.STRING, defaultValue: 'created' },
+      lastEventAt: { type: DataTypes.DATE, allowNull: true },
+      lastCheckedAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('shipments', ['shop', 'orderId'], { name: 'shipments_shop_order_id' });
+    await addIndex('shipments', ['trackingNumber'], { name: 'shipments_tracking_number' });
+
+    await createTable('tracking_events', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shipmentId: {
+        type: DataTypes.UUID,
+        allowNull: false,
+        references: { model: 'shipments', key: 'id' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      status: { type: DataTypes.STRING, allowNull: true },
+      code: { type: DataTypes.STRING, allowNull: true },
+      description: { type: DataTypes.STRING, allowNull: true },
+      location: { type: DataTypes.STRING, allowNull: true },
+      occurredAt: { type: DataTypes.DATE, allowNull: false },
+      pushedToShopifyAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('tracking_events', ['shipmentId', 'occurredAt'], { name: 'tracking_events_shipment_occurred_at' });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('tracking_events');
+    await dropTable('shipments');
+  }
+};
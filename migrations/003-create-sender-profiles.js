@@ -0,0 +1,70 @@
+// 003 - Varios remitentes por tienda. Cada sender_config legacy se copia como perfil
+// "Principal" por defecto (solo en tiendas que todavía no tienen perfiles).
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+const SENDER_FIELDS = [
+  'senderIdentificationType',
+  'senderId',
+  'senderName',
+  'senderPhone',
+  'senderMail',
+  'provinciaSender',
+  'cantonSender',
+  'distritoSender',
+  'senderPostalCode',
+  'senderDirection'
+];
+
+module.exports = {
+  async up({ createTable, addIndex, select, queryInterface, transaction, DataTypes }) {
+    await createTable('sender_profiles', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      name: { type: DataTypes.STRING, allowNull: false },
+      isDefault: { type: DataTypes.BOOLEAN, defaultValue: false },
+      senderIdentificationType: { type: DataTypes.STRING, defaultValue: '1' },
+      senderId: { type: DataTypes.STRING, allowNull: true },
+      senderName: { type: DataTypes.STRING, allowNull: true },
+      senderPhone: { type: DataTypes.STRING, allowNull: true },
+      senderMail: { type: DataTypes.STRING, allowNull: true },
+      provinciaSender: { type: DataTypes.STRING, defaultValue: '1' },
+      cantonSender: { type: DataTypes.STRING, defaultValue: '1' },
+      distritoSender: { type: DataTypes.STRING, defaultValue: '1' },
+      senderPostalCode: { type: DataTypes.STRING, allowNull: true },
+      senderDirection: { type: DataTypes.STRING, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('sender_profiles', ['shop'], { name: 'sender_profiles_shop' });
+
+    const legacyConfigs = await select(
+      'SELECT * FROM sender_configs WHERE shop NOT IN (SELECT DISTINCT shop FROM sender_profiles)'
+    );
+    if (legacyConfigs.length === 0) return;
+
+    const now = new Date();
+    await queryInterface.bulkInsert('sender_profiles', legacyConfigs.map(legacy => ({
+      id: crypto.randomUUID(),
+      shop: legacy.shop,
+      name: 'Principal',
+      isDefault: true,
+      ...Object.fromEntries(SENDER_FIELDS.map(field => [field, legacy[field]])),
+      createdAt: now,
+      updatedAt: now
+    })), { transaction });
+
+    logger.info('Configuraciones de remitente migradas a perfiles', { count: legacyConfigs.length });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('sender_profiles');
+  }
+};
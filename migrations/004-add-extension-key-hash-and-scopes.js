@@ -0,0 +1,25 @@
+// 004 - Access keys guardados como hash + prefijo, con scopes, expiración y lista de IPs.
+// accessKey pasa a aceptar null: queda solo para los keys legacy hasta que se migran (005).
+
+module.exports = {
+  async up({ addColumn, changeColumn, addIndex, DataTypes }) {
+    await addColumn('extension_keys', 'keyHash', { type: DataTypes.STRING(64), allowNull: true });
+    await addColumn('extension_keys', 'keyPrefix', { type: DataTypes.STRING(16), allowNull: true });
+    await addColumn('extension_keys', 'scopes', { type: DataTypes.JSON, allowNull: true });
+    await addColumn('extension_keys', 'expiresAt', { type: DataTypes.DATE, allowNull: true });
+    await addColumn('extension_keys', 'allowedIps', { type: DataTypes.JSON, allowNull: true });
+    await changeColumn('extension_keys', 'accessKey', { type: DataTypes.STRING(255), allowNull: true });
+    await addIndex('extension_keys', ['keyHash'], { name: 'extension_keys_key_hash_unique', unique: true });
+  },
+
+  // Falla si ya hay keys sin accessKey (creados con hash): no hay forma de recuperarlos
+  async down({ removeIndex, removeColumn, changeColumn, DataTypes }) {
+    await changeColumn('extension_keys', 'accessKey', { type: DataTypes.STRING(255), allowNull: false });
+    await removeIndex('extension_keys', 'extension_keys_key_hash_unique');
+    await removeColumn('extension_keys', 'allowedIps');
+    await removeColumn('extension_keys', 'expiresAt');
+    await removeColumn('extension_keys', 'scopes');
+    await removeColumn('extension_keys', 'keyPrefix');
+    await removeColumn('extension_keys', 'keyHash');
+  }
+};
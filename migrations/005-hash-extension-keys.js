@@ -0,0 +1,23 @@
+// 005 - Reemplazar los access keys guardados en texto plano por su hash + prefijo.
+// Sin down: el texto plano no se puede recuperar a partir del hash.
+
+const { hashAccessKey, accessKeyPrefix } = require('../secrets');
+const { logger } = require('../logger');
+
+module.exports = {
+  async up({ select, queryInterface, transaction }) {
+    const legacyKeys = await select('SELECT id, "accessKey" FROM extension_keys WHERE "accessKey" IS NOT NULL');
+
+    for (const key of legacyKeys) {
+      await queryInterface.bulkUpdate('extension_keys', {
+        keyHash: hashAccessKey(key.accessKey),
+        keyPrefix: accessKeyPrefix(key.accessKey),
+        accessKey: null
+      }, { id: key.id }, { transaction });
+    }
+
+    if (legacyKeys.length > 0) {
+      logger.info('Access keys migrados a hash', { count: legacyKeys.length });
+    }
+  }
+};
@@ -0,0 +1,12 @@
+// 006 - El access token cifrado (enc:v1:...) no entra en VARCHAR(255) en todos los casos.
+// El cifrado en sí corre al iniciar (migrateAccessTokens) porque depende de ENCRYPTION_KEYS.
+
+module.exports = {
+  async up({ changeColumn, DataTypes }) {
+    await changeColumn('shops', 'accessToken', { type: DataTypes.TEXT, allowNull: false });
+  },
+
+  async down({ changeColumn, DataTypes }) {
+    await changeColumn('shops', 'accessToken', { type: DataTypes.STRING, allowNull: false });
+  }
+};
@@ -0,0 +1,17 @@
+// 007 - State de instalación OAuth persistido, de un solo uso
+
+module.exports = {
+  async up({ createTable, addIndex, DataTypes }) {
+    await createTable('oauth_states', {
+      state: { type: DataTypes.STRING(64), primaryKey: true, allowNull: false },
+      shop: { type: DataTypes.STRING, allowNull: false },
+      expiresAt: { type: DataTypes.DATE, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('oauth_states', ['expiresAt'], { name: 'oauth_states_expires_at' });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('oauth_states');
+  }
+};
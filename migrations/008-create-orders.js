@@ -0,0 +1,37 @@
+// 008 - Cache local de pedidos (webhooks + sincronización periódica)
+
+module.exports = {
+  async up({ createTable, addColumn, addIndex, DataTypes }) {
+    await createTable('orders', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      orderId: { type: DataTypes.STRING, allowNull: false },
+      name: { type: DataTypes.STRING, allowNull: true },
+      orderCreatedAt: { type: DataTypes.DATE, allowNull: false },
+      shopifyUpdatedAt: { type: DataTypes.DATE, allowNull: false },
+      financialStatus: { type: DataTypes.STRING, allowNull: true },
+      fulfillmentStatus: { type: DataTypes.STRING, allowNull: true },
+      cancelledAt: { type: DataTypes.DATE, allowNull: true },
+      isPending: { type: DataTypes.BOOLEAN, defaultValue: true },
+      filterIndex: { type: DataTypes.JSON, allowNull: false },
+      data: { type: DataTypes.JSON, allowNull: false },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('orders', ['shop', 'orderId'], { name: 'orders_shop_order_id_unique', unique: true });
+    await addIndex('orders', ['shop', 'isPending', 'orderCreatedAt'], { name: 'orders_shop_is_pending_order_created_at' });
+
+    await addColumn('shops', 'ordersSyncedAt', { type: DataTypes.DATE, allowNull: true });
+  },
+
+  async down({ dropTable, removeColumn }) {
+    await removeColumn('shops', 'ordersSyncedAt');
+    await dropTable('orders');
+  }
+};
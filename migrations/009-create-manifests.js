@@ -0,0 +1,41 @@
+// 009 - Manifiestos de entrega a Correos y la guía → manifiesto en el que se entregó
+
+module.exports = {
+  async up({ createTable, addColumn, addIndex, DataTypes }) {
+    await createTable('manifests', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      senderProfileId: { type: DataTypes.UUID, allowNull: true },
+      sequence: { type: DataTypes.INTEGER, allowNull: false },
+      senderSnapshot: { type: DataTypes.JSON, allowNull: true },
+      shipmentCount: { type: DataTypes.INTEGER, defaultValue: 0 },
+      closedAt: { type: DataTypes.DATE, allowNull: false },
+      extensionKeyId: { type: DataTypes.UUID, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('manifests', ['shop', 'senderProfileId', 'sequence'], {
+      name: 'manifests_shop_profile_sequence_unique',
+      unique: true
+    });
+
+    await addColumn('shipments', 'manifestId', {
+      type: DataTypes.UUID,
+      allowNull: true,
+      references: { model: 'manifests', key: 'id' },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL'
+    });
+  },
+
+  async down({ dropTable, removeColumn }) {
+    await removeColumn('shipments', 'manifestId');
+    await dropTable('manifests');
+  }
+};
@@ -0,0 +1,40 @@
+// 010 - Solicitudes GDPR customers/data_request y el cliente de cada pedido del cache
+
+module.exports = {
+  async up({ createTable, addColumn, addIndex, DataTypes }) {
+    await createTable('data_requests', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      shopifyRequestId: { type: DataTypes.STRING, allowNull: true },
+      customerId: { type: DataTypes.STRING, allowNull: true },
+      customerEmail: { type: DataTypes.STRING, allowNull: true },
+      customerPhone: { type: DataTypes.STRING, allowNull: true },
+      ordersRequested: { type: DataTypes.JSON, allowNull: true },
+      status: { type: DataTypes.STRING, defaultValue: 'pending' },
+      exportData: { type: DataTypes.JSON, allowNull: true },
+      readyAt: { type: DataTypes.DATE, allowNull: true },
+      fulfilledAt: { type: DataTypes.DATE, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false },
+      updatedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('data_requests', ['shop', 'shopifyRequestId'], {
+      name: 'data_requests_shop_request_id_unique',
+      unique: true
+    });
+
+    await addColumn('orders', 'customerId', { type: DataTypes.STRING, allowNull: true });
+    await addIndex('orders', ['shop', 'customerId'], { name: 'orders_shop_customer_id' });
+  },
+
+  async down({ dropTable, removeColumn, removeIndex }) {
+    await removeIndex('orders', 'orders_shop_customer_id');
+    await removeColumn('orders', 'customerId');
+    await dropTable('data_requests');
+  }
+};
@@ -0,0 +1,30 @@
+// 011 - Audit log: quién cambió keys, remitentes, fulfillments e instalación
+
+module.exports = {
+  async up({ createTable, addIndex, DataTypes }) {
+    await createTable('audit_events', {
+      id: { type: DataTypes.UUID, primaryKey: true },
+      shop: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        references: { model: 'shops', key: 'shop' },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE'
+      },
+      action: { type: DataTypes.STRING, allowNull: false },
+      actorType: { type: DataTypes.STRING, allowNull: false, defaultValue: 'system' },
+      actorId: { type: DataTypes.STRING, allowNull: true },
+      ip: { type: DataTypes.STRING, allowNull: true },
+      resourceType: { type: DataTypes.STRING, allowNull: true },
+      resourceId: { type: DataTypes.STRING, allowNull: true },
+      changes: { type: DataTypes.JSON, allowNull: true },
+      createdAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await addIndex('audit_events', ['shop', 'createdAt'], { name: 'audit_events_shop_created_at' });
+    await addIndex('audit_events', ['shop', 'action'], { name: 'audit_events_shop_action' });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('audit_events');
+  }
+};
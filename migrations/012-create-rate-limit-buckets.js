@@ -0,0 +1,15 @@
+// 012 - Estado de los límites por access key y por tienda (RATE_LIMIT_STORE=database)
+
+module.exports = {
+  async up({ createTable, DataTypes }) {
+    await createTable('rate_limit_buckets', {
+      key: { type: DataTypes.STRING, primaryKey: true, allowNull: false },
+      tokens: { type: DataTypes.DOUBLE, allowNull: false },
+      refilledAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  },
+
+  async down({ dropTable }) {
+    await dropTable('rate_limit_buckets');
+  }
+};
@@ -0,0 +1,85 @@
+// 013 - Columnas de filtro del cache de pedidos (COD, tags, provincias, búsqueda) en lugar del
+// JSON filterIndex, para filtrar y paginar en SQL
+
+const FILTER_COLUMNS = ['tags', 'provinces', 'searchText', 'searchDigits'];
+
+// Copia de orders.js al momento de esta migración: si esas funciones cambian, el backfill no cambia
+function joinFilterValues(values) {
+  if (values.length === 0) return '';
+  const cleaned = values.map(value => String(value).split('|').join(' '));
+  return `|${cleaned.join('|')}|`;
+}
+
+function buildOrderFilterColumns(index) {
+  const search = index.search || [];
+
+  return {
+    financialStatus: index.financial_status,
+    isCashOnDelivery: Boolean(index.cod),
+    tags: joinFilterValues(index.tags || []),
+    provinces: joinFilterValues(index.provinces || []),
+    searchText: joinFilterValues(search),
+    searchDigits: joinFilterValues(search.map(value => String(value).replace(/\D/g, '')).filter(Boolean))
+  };
+}
+
+function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value;
+}
+
+// '|a|b|' → ['a', 'b']
+function splitFilterValues(value) {
+  return String(value || '').split('|').filter(Boolean);
+}
+
+module.exports = {
+  async up({ addColumn, removeColumn, addIndex, removeIndex, hasColumn, select, queryInterface, transaction, DataTypes }) {
+    await addColumn('orders', 'isCashOnDelivery', { type: DataTypes.BOOLEAN, defaultValue: false });
+    for (const column of FILTER_COLUMNS) {
+      await addColumn('orders', column, { type: DataTypes.TEXT, allowNull: true });
+    }
+
+    if (await hasColumn('orders', 'filterIndex')) {
+      const orders = await select('SELECT id, "filterIndex" FROM orders');
+
+      for (const order of orders) {
+        const columns = buildOrderFilterColumns(parseJson(order.filterIndex));
+        await queryInterface.bulkUpdate('orders', columns, { id: order.id }, { transaction });
+      }
+
+      await removeColumn('orders', 'filterIndex');
+    }
+
+    // Orden estable de la paginación (orderCreatedAt, orderId)
+    await addIndex('orders', ['shop', 'isPending', 'orderCreatedAt', 'orderId'], {
+      name: 'orders_shop_is_pending_order_created_at_order_id'
+    });
+    await removeIndex('orders', 'orders_shop_is_pending_order_created_at');
+  },
+
+  async down({ addColumn, changeColumn, removeColumn, addIndex, removeIndex, select, queryInterface, transaction, DataTypes }) {
+    await addIndex('orders', ['shop', 'isPending', 'orderCreatedAt'], { name: 'orders_shop_is_pending_order_created_at' });
+    await removeIndex('orders', 'orders_shop_is_pending_order_created_at_order_id');
+    await addColumn('orders', 'filterIndex', { type: DataTypes.JSON, allowNull: true });
+
+    const orders = await select(`SELECT id, "financialStatus", "isCashOnDelivery", ${FILTER_COLUMNS.map(c => `"${c}"`).join(', ')} FROM orders`);
+
+    for (const order of orders) {
+      await queryInterface.bulkUpdate('orders', {
+        filterIndex: JSON.stringify({
+          financial_status: order.financialStatus,
+          cod: Boolean(order.isCashOnDelivery),
+          tags: splitFilterValues(order.tags),
+          provinces: splitFilterValues(order.provinces),
+          search: splitFilterValues(order.searchText)
+        })
+      }, { id: order.id }, { transaction });
+    }
+
+    await changeColumn('orders', 'filterIndex', { type: DataTypes.JSON, allowNull: false });
+
+    for (const column of ['isCashOnDelivery', ...FILTER_COLUMNS]) {
+      await removeColumn('orders', column);
+    }
+  }
+};
@@ -0,0 +1,11 @@
+// 014 - Índice para reintentar los eventos de tracking que no se pudieron publicar en Shopify
+
+module.exports = {
+  async up({ addIndex }) {
+    await addIndex('tracking_events', ['pushedToShopifyAt', 'createdAt'], { name: 'tracking_events_pushed_created_at' });
+  },
+
+  async down({ removeIndex }) {
+    await removeIndex('tracking_events', 'tracking_events_pushed_created_at');
+  }
+};
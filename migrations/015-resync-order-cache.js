@@ -0,0 +1,11 @@
+// 015 - Volver a sincronizar el cache de pedidos: los pedidos guardados antes no traen el id
+// de cada línea (line_item_id). La sincronización completa corre en segundo plano.
+
+module.exports = {
+  async up({ queryInterface, transaction }) {
+    await queryInterface.bulkUpdate('shops', { ordersSyncedAt: null }, {}, { transaction });
+  },
+
+  // Nada que revertir: el cache sincronizado de nuevo también sirve con el código anterior
+  async down() {}
+};
@@ -0,0 +1,12 @@
+// 016 - Fecha en que se borraron los datos del destinatario de una guía (customers/redact),
+// para no volver a llenarlos desde Shopify
+
+module.exports = {
+  async up({ addColumn, DataTypes }) {
+    await addColumn('shipments', 'redactedAt', { type: DataTypes.DATE, allowNull: true });
+  },
+
+  async down({ removeColumn }) {
+    await removeColumn('shipments', 'redactedAt');
+  }
+};
@@ -0,0 +1,329 @@
+// migrator.js - Migraciones versionadas del esquema (migrations/NNN-nombre.js):
+// registro de las aplicadas, lock entre instancias y helpers idempotentes para SQLite y Postgres
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataTypes, Op, QueryTypes, UniqueConstraintError } = require('sequelize');
+const { logger } = require('./logger');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+const LOCK_TABLE = 'schema_migrations_lock';
+
+// Un lock más viejo que esto se considera abandonado (proceso que murió migrando)
+const STALE_LOCK_MS = 15 * 60 * 1000;
+const LOCK_TIMEOUT_MS = 2 * 60 * 1000;
+const LOCK_RETRY_MS = 1000;
+
+const MIGRATION_FILE_PATTERN = /^\d{3}-[a-z0-9-]+\.js$/;
+
+class MigrationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MigrationError';
+  }
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Migraciones en orden de versión. Cada archivo exporta up(context) y, si es reversible, down(context).
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs.readdirSync(dir)
+    .filter(file => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+    .map(file => ({
+      name: path.basename(file, '.js'),
+      ...require(path.join(dir, file))
+    }));
+}
+
+// ============================================================================
+// HELPERS DE ESQUEMA
+// ============================================================================
+
+// Operaciones que no fallan si el cambio ya existe: las bases creadas con sync({ alter: true })
+// ya tienen las tablas, así que la primera corrida solo registra las migraciones como aplicadas.
+function createSchemaHelpers(sequelize, transaction) {
+  const queryInterface = sequelize.getQueryInterface();
+  const options = { transaction };
+
+  async function hasTable(table) {
+    return queryInterface.tableExists(table, options);
+  }
+
+  async function hasColumn(table, column) {
+    const columns = await queryInterface.describeTable(table, options);
+    return Boolean(columns[column]);
+  }
+
+  async function hasIndex(table, name) {
+    const indexes = await queryInterface.showIndex(table, options);
+    return indexes.some(index => index.name === name);
+  }
+
+  // SQLite no tiene ALTER COLUMN: Sequelize recrea la tabla a partir de describeTable, que no
+  // trae ON DELETE/ON UPDATE y convierte los índices en UNIQUE de columna. Se completan las
+  // foreign keys y se vuelven a crear los índices con su nombre. `alter` modifica las columnas.
+  async function rebuildSqliteTable(table, alter) {
+    const columns = await queryInterface.describeTable(table, options);
+    const indexes = await queryInterface.showIndex(table, options);
+    const foreignKeys = await sequelize.query(`PRAGMA foreign_key_list(\`${table}\`)`, { ...options, type: QueryTypes.SELECT });
+
+    const inlineUnique = new Set(indexes
+      .filter(index => index.origin === 'u' && index.fields.length === 1)
+      .map(index => index.fields[0].attribute));
+
+    for (const [name, definition] of Object.entries(columns)) {
+      definition.unique = inlineUnique.has(name);
+    }
+    for (const foreignKey of foreignKeys) {
+      Object.assign(columns[foreignKey.from], { onDelete: foreignKey.on_delete, onUpdate: foreignKey.on_update });
+    }
+    alter(columns);
+
+    const sql = queryInterface.queryGenerator.removeColumnQuery(table, columns);
+    for (const statement of sql.split(';').filter(Boolean)) {
+      await sequelize.query(`${statement};`, { ...options, raw: true });
+    }
+
+    const remaining = indexes.filter(index => index.origin === 'c' && index.fields.every(field => columns[field.attribute]));
+    for (const index of remaining) {
+      await queryInterface.addIndex(table, index.fields.map(field => field.attribute), {
+        ...options,
+        name: index.name,
+        unique: index.unique
+      });
+    }
+  }
+
+  return {
+    queryInterface,
+    transaction,
+    hasTable,
+    hasColumn,
+    hasIndex,
+
+    async createTable(table, attributes) {
+      if (await hasTable(table)) return;
+      await queryInterface.createTable(table, attributes, options);
+    },
+
+    async dropTable(table) {
+      if (!(await hasTable(table))) return;
+      await queryInterface.dropTable(table, options);
+    },
+
+    async addColumn(table, column, attribute) {
+      if (await hasColumn(table, column)) return;
+      await queryInterface.addColumn(table, column, attribute, options);
+    },
+
+    async removeColumn(table, column) {
+      if (!(await hasColumn(table, column))) return;
+
+      if (sequelize.getDialect() === 'sqlite') {
+        await rebuildSqliteTable(table, columns => { delete columns[column]; });
+      } else {
+        await queryInterface.removeColumn(table, column, options);
+      }
+    },
+
+    async changeColumn(table, column, attribute) {
+      if (sequelize.getDialect() === 'sqlite') {
+        await rebuildSqliteTable(table, columns => {
+          Object.assign(columns[column], queryInterface.normalizeAttribute(attribute));
+        });
+      } else {
+        await queryInterface.changeColumn(table, column, attribute, options);
+      }
+    },
+
+    // Los índices siempre llevan nombre: es lo que permite saber si ya existen
+    async addIndex(table, fields, { name, unique = false }) {
+      if (await hasIndex(table, name)) return;
+      await queryInterface.addIndex(table, fields, { ...options, name, unique });
+    },
+
+    async removeIndex(table, name) {
+      if (!(await hasIndex(table, name))) return;
+      await queryInterface.removeIndex(table, name, options);
+    },
+
+    select(sql, replacements = {}) {
+      return sequelize.query(sql, { ...options, replacements, type: QueryTypes.SELECT });
+    }
+  };
+}
+
+// ============================================================================
+// MIGRADOR
+// ============================================================================
+
+function createMigrator(sequelize, {
+  migrationsDir = MIGRATIONS_DIR,
+  lockTimeoutMs = LOCK_TIMEOUT_MS,
+  staleLockMs = STALE_LOCK_MS
+} = {}) {
+  const queryInterface = sequelize.getQueryInterface();
+  const isSqlite = sequelize.getDialect() === 'sqlite';
+
+  async function ensureTables() {
+    await queryInterface.createTable(MIGRATIONS_TABLE, {
+      name: { type: DataTypes.STRING, primaryKey: true, allowNull: false },
+      appliedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+    await queryInterface.createTable(LOCK_TABLE, {
+      id: { type: DataTypes.INTEGER, primaryKey: true, allowNull: false },
+      owner: { type: DataTypes.STRING, allowNull: false },
+      lockedAt: { type: DataTypes.DATE, allowNull: false }
+    });
+  }
+
+  async function getApplied() {
+    const rows = await queryInterface.select(null, MIGRATIONS_TABLE, { order: [['name', 'ASC']] });
+    return new Map(rows.map(row => [row.name, row.appliedAt]));
+  }
+
+  // Lock con una fila de id fijo: solo una instancia logra insertarla, las demás esperan
+  async function acquireLock() {
+    const owner = `${os.hostname()}:${process.pid}`;
+    const deadline = Date.now() + lockTimeoutMs;
+
+    for (;;) {
+      await queryInterface.bulkDelete(LOCK_TABLE, { lockedAt: { [Op.lt]: new Date(Date.now() - staleLockMs) } });
+
+      try {
+        await queryInterface.bulkInsert(LOCK_TABLE, [{ id: 1, owner, lockedAt: new Date() }]);
+        return;
+      } catch (error) {
+        if (!(error instanceof UniqueConstraintError)) throw error;
+      }
+
+      if (Date.now() >= deadline) {
+        const [lock] = await queryInterface.select(null, LOCK_TABLE, { where: { id: 1 } });
+        throw new MigrationError(`Otra instancia está migrando la base de datos (${lock ? lock.owner : 'desconocida'})`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  async function releaseLock() {
+    await queryInterface.bulkDelete(LOCK_TABLE, { id: 1 });
+  }
+
+  async function withLock(fn) {
+    await ensureTables();
+    await acquireLock();
+    try {
+      return await fn();
+    } finally {
+      await releaseLock();
+    }
+  }
+
+  // En Postgres cada migración corre en una transacción junto con su registro.
+  // En SQLite se apagan las foreign keys mientras se migra: recrear una tabla (DROP TABLE)
+  // borraría en cascada las filas hijas. PRAGMA foreign_keys no tiene efecto dentro de una
+  // transacción, así que ahí las migraciones corren sin ella.
+  async function run(migration, direction) {
+    const apply = async (transaction) => {
+      await migration[direction]({ ...createSchemaHelpers(sequelize, transaction), DataTypes, sequelize });
+
+      if (direction === 'up') {
+        await queryInterface.bulkInsert(MIGRATIONS_TABLE, [{ name: migration.name, appliedAt: new Date() }], { transaction });
+      } else {
+        await queryInterface.bulkDelete(MIGRATIONS_TABLE, { name: migration.name }, { transaction });
+      }
+    };
+
+    if (!isSqlite) {
+      await sequelize.transaction(apply);
+      return;
+    }
+
+    await sequelize.query('PRAGMA foreign_keys = OFF');
+    try {
+      await apply();
+    } finally {
+      await sequelize.query('PRAGMA foreign_keys = ON');
+    }
+  }
+
+  // Aplicar las migraciones pendientes (hasta `to`, inclusive). Devuelve los nombres aplicados.
+  async function up({ to = null } = {}) {
+    return withLock(async () => {
+      const applied = await getApplied();
+      const pending = loadMigrations(migrationsDir)
+        .filter(migration => !applied.has(migration.name))
+        .filter(migration => !to || migration.name <= to);
+
+      for (const migration of pending) {
+        await run(migration, 'up');
+        logger.info('Migración aplicada', { migration: migration.name });
+      }
+
+      return pending.map(migration => migration.name);
+    });
+  }
+
+  // Revertir las últimas `steps` migraciones aplicadas. Devuelve los nombres revertidos.
+  async function down({ steps = 1 } = {}) {
+    return withLock(async () => {
+      const applied = await getApplied();
+      const migrations = new Map(loadMigrations(migrationsDir).map(migration => [migration.name, migration]));
+      const names = [...applied.keys()].sort().reverse().slice(0, steps);
+
+      for (const name of names) {
+        const migration = migrations.get(name);
+        if (!migration) {
+          throw new MigrationError(`No se encontró el archivo de la migración ${name}`);
+        }
+        if (typeof migration.down !== 'function') {
+          throw new MigrationError(`La migración ${name} no se puede revertir`);
+        }
+
+        await run(migration, 'down');
+        logger.info('Migración revertida', { migration: name });
+      }
+
+      return names;
+    });
+  }
+
+  // Estado de cada migración; incluye las registradas cuyo archivo ya no existe
+  async function status() {
+    await ensureTables();
+    const applied = await getApplied();
+    const migrations = loadMigrations(migrationsDir);
+    const known = new Set(migrations.map(migration => migration.name));
+
+    return [
+      ...migrations.map(migration => ({
+        name: migration.name,
+        appliedAt: applied.get(migration.name) || null,
+        reversible: typeof migration.down === 'function'
+      })),
+      ...[...applied.keys()].filter(name => !known.has(name)).map(name => ({
+        name,
+        appliedAt: applied.get(name),
+        missing: true
+      }))
+    ].sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  return {
+    up,
+    down,
+    status
+  };
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  MigrationError,
+  loadMigrations,
+  createMigrator
+};
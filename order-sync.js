@@ -0,0 +1,331 @@
+// order-sync.js - Cache local de pedidos: guardado desde webhooks y sincronización periódica con Shopify
+
+const { createShopifyClient, ShopifyNotFoundError } = require('./shopify-client');
+const { buildOrderRecord, fromGraphqlOrder } = require('./orders');
+const { upsertOrder, markShopOrdersSynced, getActiveShops } = require('./database');
+const { logger } = require('./logger');
+
+const log = logger.child({ worker: 'order_sync' });
+
+// Margen al pedir "actualizados desde la última sincronización" (relojes, webhooks en vuelo)
+const SYNC_OVERLAP_MS = 5 * 60 * 1000;
+
+// Shopify calcula el costo pedido multiplicando los `first` anidados y no acepta consultas
+// de más de 1000 puntos: 10 pedidos × (25 líneas + 2 fulfillment orders × 25 líneas) ≈ 800.
+// Los pedidos con más líneas o fulfillment orders llegan truncados (pageInfo.hasNextPage) y
+// se completan con las consultas de cada conexión (ver completeOrderConnections).
+const PAGE_SIZE = 10;
+const ORDERS_PAGE_COST = 800;
+const ORDER_COST = 80;
+// Páginas de las conexiones anidadas: 50 líneas, o 10 fulfillment orders × 25 líneas
+const LINE_ITEMS_PAGE = { first: 50, cost: 120 };
+const FULFILLMENT_ORDERS_PAGE = { first: 10, cost: 300 };
+
+const PAGE_INFO = 'pageInfo { hasNextPage endCursor }';
+
+const LINE_ITEM_FIELDS = `
+  fragment LineItemFields on LineItem {
+    id
+    title
+    quantity
+    sku
+    originalUnitPriceSet { shopMoney { amount } }
+    variant { weight weightUnit }
+  }
+`;
+
+const FULFILLMENT_ORDER_LINE_ITEM_FIELDS = `
+  fragment FulfillmentOrderLineItemFields on FulfillmentOrderLineItem {
+    remainingQuantity
+    lineItem { id }
+  }
+`;
+
+const FULFILLMENT_ORDER_FIELDS = `
+  fragment FulfillmentOrderFields on FulfillmentOrder {
+    id
+    status
+    lineItems(first: 25) {
+      nodes { ...FulfillmentOrderLineItemFields }
+      ${PAGE_INFO}
+    }
+  }
+  ${FULFILLMENT_ORDER_LINE_ITEM_FIELDS}
+`;
+
+// Pedido, cliente, custom attributes, líneas (SKU y peso) y fulfillment orders en una sola consulta
+const ORDER_FIELDS = `
+  fragment OrderFields on Order {
+    id
+    name
+    createdAt
+    updatedAt
+    cancelledAt
+    displayFinancialStatus
+    displayFulfillmentStatus
+    currencyCode
+    totalPriceSet { shopMoney { amount } }
+    note
+    tags
+    email
+    phone
+    paymentGatewayNames
+    customAttributes { key value }
+    customer { id firstName lastName email phone }
+    shippingAddress {
+      name firstName lastName address1 address2 city
+      province provinceCode zip country countryCodeV2 phone
+    }
+    billingAddress { phone }
+    lineItems(first: 25) {
+      nodes { ...LineItemFields }
+      ${PAGE_INFO}
+    }
+    fulfillmentOrders(first: 2) {
+      nodes { ...FulfillmentOrderFields }
+      ${PAGE_INFO}
+    }
+  }
+  ${LINE_ITEM_FIELDS}
+  ${FULFILLMENT_ORDER_FIELDS}
+`;
+
+const ORDERS_QUERY = `
+  query Orders($first: Int!, $after: String, $query: String) {
+    orders(first: $first, after: $after, query: $query) {
+      nodes { ...OrderFields }
+      ${PAGE_INFO}
+    }
+  }
+  ${ORDER_FIELDS}
+`;
+
+const ORDER_QUERY = `
+  query Order($id: ID!) {
+    order(id: $id) { ...OrderFields }
+  }
+  ${ORDER_FIELDS}
+`;
+
+// Páginas siguientes de las conexiones anidadas de un pedido truncado
+
+const ORDER_LINE_ITEMS_QUERY = `
+  query OrderLineItems($id: ID!, $first: Int!, $after: String) {
+    node(id: $id) {
+      ... on Order {
+        lineItems(first: $first, after: $after) {
+          nodes { ...LineItemFields }
+          ${PAGE_INFO}
+        }
+      }
+    }
+  }
+  ${LINE_ITEM_FIELDS}
+`;
+
+const ORDER_FULFILLMENT_ORDERS_QUERY = `
+  query OrderFulfillmentOrders($id: ID!, $first: Int!, $after: String) {
+    node(id: $id) {
+      ... on Order {
+        fulfillmentOrders(first: $first, after: $after) {
+          nodes { ...FulfillmentOrderFields }
+          ${PAGE_INFO}
+        }
+      }
+    }
+  }
+  ${FULFILLMENT_ORDER_FIELDS}
+`;
+
+const FULFILLMENT_ORDER_LINE_ITEMS_QUERY = `
+  query FulfillmentOrderLineItems($id: ID!, $first: Int!, $after: String) {
+    node(id: $id) {
+      ... on FulfillmentOrder {
+        lineItems(first: $first, after: $after) {
+          nodes { ...FulfillmentOrderLineItemFields }
+          ${PAGE_INFO}
+        }
+      }
+    }
+  }
+  ${FULFILLMENT_ORDER_LINE_ITEM_FIELDS}
+`;
+
+// Agregar a `connection` las páginas que faltan, desde su endCursor
+async function fetchRemainingNodes(shopify, query, { first, cost }, id, field, connection) {
+  let { hasNextPage, endCursor } = connection.pageInfo;
+
+  while (hasNextPage) {
+    const data = await shopify.graphql(query, { id, first, after: endCursor }, { cost });
+    const page = data.node?.[field];
+    if (!page) break;
+
+    connection.nodes.push(...page.nodes);
+    ({ hasNextPage, endCursor } = page.pageInfo);
+  }
+
+  connection.pageInfo = { hasNextPage: false, endCursor };
+}
+
+// Completar las líneas y fulfillment orders de un pedido que llegó truncado: sin esto
+// fulfillable_quantity y los despachos parciales quedarían mal calculados
+async function completeOrderConnections(shopify, node) {
+  if (node.lineItems?.pageInfo.hasNextPage) {
+    await fetchRemainingNodes(shopify, ORDER_LINE_ITEMS_QUERY, LINE_ITEMS_PAGE, node.id, 'lineItems', node.lineItems);
+  }
+
+  if (node.fulfillmentOrders?.pageInfo.hasNextPage) {
+    await fetchRemainingNodes(shopify, ORDER_FULFILLMENT_ORDERS_QUERY, FULFILLMENT_ORDERS_PAGE, node.id, 'fulfillmentOrders', node.fulfillmentOrders);
+  }
+
+  for (const fulfillmentOrder of node.fulfillmentOrders?.nodes || []) {
+    if (fulfillmentOrder.lineItems.pageInfo.hasNextPage) {
+      await fetchRemainingNodes(shopify, FULFILLMENT_ORDER_LINE_ITEMS_QUERY, LINE_ITEMS_PAGE, fulfillmentOrder.id, 'lineItems', fulfillmentOrder.lineItems);
+    }
+  }
+
+  return node;
+}
+
+function cacheOrder(shop, order) {
+  return upsertOrder(shop, buildOrderRecord(order));
+}
+
+// Traer un pedido de Shopify y guardarlo (ej: después de fulfillments/create).
+// Devuelve el pedido con la forma del payload REST (ver fromGraphqlOrder).
+async function refreshOrder(shopify, orderId) {
+  const data = await shopify.graphql(ORDER_QUERY, { id: `gid://shopify/Order/${orderId}` }, { cost: ORDER_COST });
+
+  if (!data.order) {
+    throw new ShopifyNotFoundError('Pedido no encontrado en Shopify');
+  }
+
+  await completeOrderConnections(shopify, data.order);
+  const order = fromGraphqlOrder(data.order);
+
+  await cacheOrder(shopify.shop, order);
+  return order;
+}
+
+// Recorrer todas las páginas de pedidos que cumplen `query` (sintaxis de búsqueda de Shopify)
+async function forEachShopifyOrder(shopify, query, fn) {
+  let after = null;
+
+  do {
+    const { orders } = await shopify.graphql(ORDERS_QUERY, { first: PAGE_SIZE, after, query }, { cost: ORDERS_PAGE_COST });
+
+    for (const node of orders.nodes) {
+      await completeOrderConnections(shopify, node);
+      await fn(fromGraphqlOrder(node));
+    }
+
+    after = orders.pageInfo.hasNextPage ? orders.pageInfo.endCursor : null;
+  } while (after);
+}
+
+// Sincronizar el cache de una tienda. La primera vez trae todos los pedidos sin despachar
+// (incluidos los parciales, ver isPendingOrder); después, solo los actualizados desde la
+// última sincronización (lo que se perdió por webhooks).
+async function syncShopOrders(shopRecord) {
+  const startedAt = new Date();
+  let query = 'status:open (fulfillment_status:unfulfilled OR fulfillment_status:partial)';
+
+  if (shopRecord.ordersSyncedAt) {
+    const updatedAtMin = new Date(new Date(shopRecord.ordersSyncedAt).getTime() - SYNC_OVERLAP_MS).toISOString();
+    query = `updated_at:>='${updatedAtMin}'`;
+  }
+
+  let synced = 0;
+  const shopify = createShopifyClient(shopRecord.shop, shopRecord.accessToken);
+
+  await forEachShopifyOrder(shopify, query, async (order) => {
+    if (await cacheOrder(shopRecord.shop, order)) synced++;
+  });
+
+  await markShopOrdersSynced(shopRecord.shop, startedAt);
+  shopRecord.ordersSyncedAt = startedAt;
+
+  return synced;
+}
+
+// Sincronizaciones en segundo plano por tienda: la primera recorre todos los pedidos sin
+// despachar y en tiendas grandes tarda más que un request
+const backgroundSyncs = new Map();
+
+// Sincronizar sin esperar (y sin repetir una sincronización de la tienda que ya está en curso)
+function syncShopOrdersInBackground(shopRecord) {
+  const { shop } = shopRecord;
+
+  if (!backgroundSyncs.has(shop)) {
+    const sync = syncShopOrders(shopRecord)
+      .catch(error => log.error('Error sincronizando pedidos', { shop, error }))
+      .finally(() => backgroundSyncs.delete(shop));
+    backgroundSyncs.set(shop, sync);
+  }
+
+  return backgroundSyncs.get(shop);
+}
+
+// Worker de reconciliación: sincroniza todas las tiendas activas cada `intervalMs`
+function createOrderSyncWorker({
+  syncShop = syncShopOrders,
+  intervalMs = 15 * 60 * 1000
+} = {}) {
+  let timer = null;
+  let running = false;
+
+  async function runOnce() {
+    if (running) return { skipped: true };
+    running = true;
+
+    const summary = { shops: 0, orders: 0, errors: 0 };
+
+    try {
+      const shops = await getActiveShops();
+
+      for (const shopRecord of shops) {
+        try {
+          summary.orders += await syncShop(shopRecord);
+          summary.shops++;
+        } catch (error) {
+          summary.errors++;
+          log.error('Error sincronizando pedidos', { shop: shopRecord.shop, error });
+        }
+      }
+
+      if (summary.orders > 0) {
+        log.info('Pedidos sincronizados', summary);
+      }
+    } finally {
+      running = false;
+    }
+
+    return summary;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => log.error('Error en sincronización de pedidos', { error }));
+    }, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    runOnce,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  cacheOrder,
+  refreshOrder,
+  syncShopOrders,
+  syncShopOrdersInBackground,
+  createOrderSyncWorker
+};
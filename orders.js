@@ -0,0 +1,415 @@
+// orders.js - Mapeo, filtros y paginación de pedidos de Shopify para la extensión
+
+const { resolveLocation, inferLocation, normalizeText } = require('./catalog');
+
+// Estados financieros que acepta el filtro (además de "cod")
+const FINANCIAL_STATUSES = [
+  'any', 'authorized', 'pending', 'paid', 'partially_paid',
+  'refunded', 'voided', 'partially_refunded', 'unpaid'
+];
+
+// "unpaid" agrupa estos estados (igual que el filtro de Shopify)
+const UNPAID_STATUSES = ['authorized', 'pending', 'partially_paid'];
+
+// Gateways que corresponden a pago contra entrega
+const COD_GATEWAY_PATTERN = /cash on delivery|\bcod\b|contra\s*entrega|pago\s+al\s+recibir/i;
+
+// Leer un note_attribute del pedido (province_id, county_id, district_id, ...)
+function getNoteAttribute(order, name) {
+  return order.note_attributes?.find(a => a.name === name)?.value;
+}
+
+// Ubicación de destino del pedido: note_attributes del checkout o, si faltan,
+// inferida desde shipping_address. `needs_review` marca los pedidos sin ubicación confiable.
+function getOrderLocation(order) {
+  const provinceId = getNoteAttribute(order, 'province_id');
+  const countyId = getNoteAttribute(order, 'county_id');
+  const districtId = getNoteAttribute(order, 'district_id');
+
+  if (provinceId || countyId || districtId) {
+    const location = resolveLocation(provinceId, countyId, districtId);
+    return {
+      ids: { province_id: provinceId, county_id: countyId, district_id: districtId },
+      location,
+      source: 'note_attributes',
+      confidence: location ? 1 : 0,
+      needs_review: !location
+    };
+  }
+
+  const inferred = inferLocation(order.shipping_address);
+
+  if (!inferred) {
+    return {
+      ids: {},
+      location: null,
+      source: null,
+      confidence: 0,
+      needs_review: true
+    };
+  }
+
+  return {
+    ids: {
+      province_id: inferred.province.id,
+      county_id: inferred.canton.id,
+      district_id: inferred.district.id
+    },
+    location: inferred,
+    source: 'inferred',
+    confidence: inferred.confidence,
+    needs_review: inferred.needs_review
+  };
+}
+
+// Destinatario para guías y etiquetas a partir del shipping_address y la ubicación resuelta
+function buildRecipient(order, location) {
+  const address = order.shipping_address || {};
+
+  return {
+    name: address.name || `${address.first_name || ''} ${address.last_name || ''}`.trim(),
+    phone: address.phone || order.customer?.phone || '',
+    address: [address.address1, address.address2, address.city].filter(Boolean).join(', '),
+    postalCode: location?.postal_code || address.zip || null,
+    province_id: location?.province.id,
+    county_id: location?.canton.id,
+    district_id: location?.district.id,
+    location: location ? {
+      province: location.province,
+      canton: location.canton,
+      district: location.district,
+      postal_code: location.postal_code
+    } : null
+  };
+}
+
+// Los pedidos llegan por GraphQL (sincronización) y por webhooks (payload REST).
+// Se convierten a la forma REST para que el mapeo, los filtros y el cache sean uno solo.
+
+const WEIGHT_TO_GRAMS = {
+  GRAMS: 1,
+  KILOGRAMS: 1000,
+  OUNCES: 28.349523125,
+  POUNDS: 453.59237
+};
+
+// Estados de fulfillment de GraphQL que en REST tienen valor (el resto es null = sin despachar)
+const FULFILLMENT_STATUSES = {
+  PARTIALLY_FULFILLED: 'partial',
+  FULFILLED: 'fulfilled',
+  RESTOCKED: 'restocked'
+};
+
+// Fulfillment orders que todavía se pueden despachar
+const OPEN_FULFILLMENT_ORDER_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+// 'gid://shopify/Order/123' → 123 (los IDs numéricos de REST quedan igual)
+function legacyId(gid) {
+  return gid ? Number(String(gid).split('/').pop()) : null;
+}
+
+function toGrams(variant) {
+  if (!variant || variant.weight === null || variant.weight === undefined) return null;
+  return Math.round(variant.weight * (WEIGHT_TO_GRAMS[variant.weightUnit] || 0));
+}
+
+function fromGraphqlAddress(address) {
+  if (!address) return null;
+
+  return {
+    name: address.name,
+    first_name: address.firstName,
+    last_name: address.lastName,
+    address1: address.address1,
+    address2: address.address2,
+    city: address.city,
+    province: address.province,
+    province_code: address.provinceCode,
+    zip: address.zip,
+    country: address.country,
+    country_code: address.countryCodeV2,
+    phone: address.phone
+  };
+}
+
+// Pedido de la consulta GraphQL (ver ORDER_FIELDS en order-sync.js) con la forma del payload REST
+function fromGraphqlOrder(node) {
+  // Cantidad pendiente por línea según los fulfillment orders abiertos
+  const fulfillable = new Map();
+  for (const fulfillmentOrder of node.fulfillmentOrders?.nodes || []) {
+    if (!OPEN_FULFILLMENT_ORDER_STATUSES.includes(fulfillmentOrder.status)) continue;
+    for (const item of fulfillmentOrder.lineItems.nodes) {
+      const id = item.lineItem.id;
+      fulfillable.set(id, (fulfillable.get(id) || 0) + item.remainingQuantity);
+    }
+  }
+
+  return {
+    id: legacyId(node.id),
+    // GraphQL no expone order_number; sale del nombre (#1001)
+    order_number: parseInt(String(node.name).replace(/\D/g, ''), 10) || null,
+    name: node.name,
+    created_at: node.createdAt,
+    updated_at: node.updatedAt,
+    cancelled_at: node.cancelledAt,
+    financial_status: node.displayFinancialStatus?.toLowerCase() || null,
+    fulfillment_status: FULFILLMENT_STATUSES[node.displayFulfillmentStatus] || null,
+    total_price: node.totalPriceSet?.shopMoney.amount,
+    currency: node.currencyCode,
+    note: node.note,
+    tags: (node.tags || []).join(', '),
+    email: node.email,
+    phone: node.phone,
+    payment_gateway_names: node.paymentGatewayNames || [],
+    note_attributes: (node.customAttributes || []).map(({ key, value }) => ({ name: key, value })),
+    customer: node.customer ? {
+      id: legacyId(node.customer.id),
+      first_name: node.customer.firstName,
+      last_name: node.customer.lastName,
+      email: node.customer.email,
+      phone: node.customer.phone
+    } : null,
+    shipping_address: fromGraphqlAddress(node.shippingAddress),
+    billing_address: fromGraphqlAddress(node.billingAddress),
+    line_items: (node.lineItems?.nodes || []).map(item => ({
+      id: legacyId(item.id),
+      title: item.title,
+      quantity: item.quantity,
+      price: item.originalUnitPriceSet?.shopMoney.amount,
+      sku: item.sku,
+      grams: toGrams(item.variant),
+      fulfillable_quantity: fulfillable.get(item.id) || 0
+    }))
+  };
+}
+
+// Forma del pedido que consume la extensión
+function mapOrder(order) {
+  const { ids, location, source, confidence, needs_review } = getOrderLocation(order);
+
+  return {
+    id: order.id,
+    order_number: order.order_number,
+    name: order.name,
+    created_at: order.created_at,
+    total_price: order.total_price,
+    currency: order.currency,
+    note: order.note,
+    note_attributes: order.note_attributes || [], // ← Aquí están los attributes
+    customer: order.customer ? {
+      name: `${order.customer.first_name || ''} ${order.customer.last_name || ''}`,
+      email: order.customer.email || '',
+      phone: order.customer.phone || ''
+    } : null,
+    shipping_address: order.shipping_address,
+    // `id` es el line_item_id que piden los despachos parciales (line_items en update-tracking)
+    line_items: order.line_items.map(item => ({
+      id: legacyId(item.id),
+      title: item.title,
+      quantity: item.quantity,
+      price: item.price,
+      sku: item.sku || null,
+      grams: item.grams ?? null,
+      fulfillable_quantity: item.fulfillable_quantity ?? item.quantity
+    })),
+    // Extraer los custom attributes de ubicación (nombres y código postal desde el catálogo)
+    province_id: ids.province_id,
+    province_name: getNoteAttribute(order, 'province_name') || location?.province.name,
+    county_id: ids.county_id,
+    county_name: getNoteAttribute(order, 'county_name') || location?.canton.name,
+    district_id: ids.district_id,
+    district_name: getNoteAttribute(order, 'district_name') || location?.district.name,
+    postal_code: location?.postal_code || null,
+    location_source: source,
+    location_confidence: confidence,
+    needs_location_review: needs_review
+  };
+}
+
+// Filtros que viajan dentro del cursor page_info
+const CURSOR_FILTERS = ['createdAtMin', 'createdAtMax', 'financialStatus', 'tag', 'province', 'search'];
+
+const PAGE_DIRECTIONS = ['next', 'previous'];
+
+// Cursor de paginación (keyset): los filtros + el pedido desde el que sigue la página
+// (orderCreatedAt, orderId) y la dirección. Los pedidos que entran o salen del cache entre
+// una página y otra no hacen que se salten ni se repitan otros. Igual que en Shopify,
+// con page_info solo se acepta limit y los demás filtros salen del cursor.
+function encodePageInfo(filters, order, direction) {
+  const cursor = {
+    direction,
+    createdAt: new Date(order.orderCreatedAt).toISOString(),
+    orderId: order.orderId
+  };
+  for (const field of CURSOR_FILTERS) {
+    cursor[field] = filters[field];
+  }
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url');
+}
+
+function decodePageInfo(pageInfo) {
+  try {
+    const cursor = JSON.parse(Buffer.from(String(pageInfo), 'base64url').toString('utf8'));
+    if (
+      !PAGE_DIRECTIONS.includes(cursor.direction) ||
+      typeof cursor.createdAt !== 'string' || isNaN(new Date(cursor.createdAt)) ||
+      typeof cursor.orderId !== 'string' ||
+      !Array.isArray(cursor.financialStatus)
+    ) {
+      return null;
+    }
+    return cursor;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Leer y validar los filtros del query string; devuelve { filters } o { error }
+function parseOrderFilters(query) {
+  const limit = query.limit ? parseInt(query.limit, 10) : 50;
+  if (!limit || limit < 1 || limit > 250) {
+    return { error: 'limit debe estar entre 1 y 250' };
+  }
+
+  if (query.page_info) {
+    const cursor = decodePageInfo(query.page_info);
+    if (!cursor) {
+      return { error: 'page_info inválido' };
+    }
+
+    const filters = {
+      limit,
+      cursor: { direction: cursor.direction, createdAt: cursor.createdAt, orderId: cursor.orderId }
+    };
+    for (const field of CURSOR_FILTERS) {
+      filters[field] = cursor[field] ?? null;
+    }
+    return { filters };
+  }
+
+  const financialStatus = (query.financial_status || 'paid')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+
+  const invalidStatus = financialStatus.find(s => s !== 'cod' && !FINANCIAL_STATUSES.includes(s));
+  if (invalidStatus) {
+    return { error: `financial_status inválido: ${invalidStatus}` };
+  }
+
+  for (const field of ['created_at_min', 'created_at_max']) {
+    if (query[field] && isNaN(new Date(query[field]))) {
+      return { error: `${field} debe ser una fecha ISO 8601` };
+    }
+  }
+
+  return {
+    filters: {
+      limit,
+      cursor: null,
+      createdAtMin: query.created_at_min || null,
+      createdAtMax: query.created_at_max || null,
+      financialStatus,
+      tag: query.tag ? normalizeText(query.tag) : null,
+      province: query.province ? normalizeText(query.province) : null,
+      search: query.q ? normalizeText(query.q) : null
+    }
+  };
+}
+
+function isCashOnDelivery(order) {
+  const gateways = order.payment_gateway_names?.length ? order.payment_gateway_names : [order.gateway];
+  return gateways.some(g => COD_GATEWAY_PATTERN.test(g || ''));
+}
+
+// ¿Sigue pendiente de envío? (equivale a fulfillment_status=unfulfilled de Shopify, sin cancelados)
+function isPendingOrder(order) {
+  return !order.cancelled_at && (!order.fulfillment_status || order.fulfillment_status === 'partial');
+}
+
+// Valores normalizados de un pedido que usan los filtros (ver buildOrderFilterColumns)
+function buildOrderFilterIndex(order) {
+  const customerName = order.customer
+    ? `${order.customer.first_name || ''} ${order.customer.last_name || ''}`
+    : '';
+
+  return {
+    financial_status: order.financial_status,
+    cod: isCashOnDelivery(order),
+    tags: String(order.tags || '').split(',').map(normalizeText).filter(Boolean),
+    provinces: [
+      getNoteAttribute(order, 'province_id'),
+      getNoteAttribute(order, 'province_name'),
+      order.shipping_address?.province,
+      order.shipping_address?.province_code
+    ].map(normalizeText).filter(Boolean),
+    search: [
+      order.name,
+      customerName,
+      order.shipping_address?.name,
+      order.customer?.phone,
+      order.shipping_address?.phone,
+      order.billing_address?.phone,
+      order.phone
+    ].map(normalizeText).filter(Boolean)
+  };
+}
+
+// Las listas del índice se guardan como texto delimitado ('|a|b|') para filtrarlas en SQL
+// con LIKE '%|valor|%' (tag y provincia exactos) o '%texto%' (búsqueda)
+const FILTER_VALUE_SEPARATOR = '|';
+
+function joinFilterValues(values) {
+  if (values.length === 0) return '';
+  const cleaned = values.map(value => normalizeFilterValue(value));
+  return `${FILTER_VALUE_SEPARATOR}${cleaned.join(FILTER_VALUE_SEPARATOR)}${FILTER_VALUE_SEPARATOR}`;
+}
+
+// Un valor (o un filtro) no puede contener el separador
+function normalizeFilterValue(value) {
+  return String(value).split(FILTER_VALUE_SEPARATOR).join(' ');
+}
+
+// Columnas de filtro del cache de pedidos a partir del índice
+function buildOrderFilterColumns(index) {
+  return {
+    financialStatus: index.financial_status,
+    isCashOnDelivery: index.cod,
+    tags: joinFilterValues(index.tags),
+    provinces: joinFilterValues(index.provinces),
+    searchText: joinFilterValues(index.search),
+    searchDigits: joinFilterValues(index.search.map(value => value.replace(/\D/g, '')).filter(Boolean))
+  };
+}
+
+// Fila del cache local (modelo Order) a partir de un pedido de Shopify
+function buildOrderRecord(order) {
+  return {
+    orderId: String(order.id),
+    name: order.name,
+    customerId: order.customer?.id ? String(order.customer.id) : null,
+    orderCreatedAt: order.created_at,
+    shopifyUpdatedAt: order.updated_at || order.created_at,
+    fulfillmentStatus: order.fulfillment_status || null,
+    cancelledAt: order.cancelled_at || null,
+    isPending: isPendingOrder(order),
+    ...buildOrderFilterColumns(buildOrderFilterIndex(order)),
+    data: mapOrder(order)
+  };
+}
+
+module.exports = {
+  UNPAID_STATUSES,
+  getNoteAttribute,
+  getOrderLocation,
+  buildRecipient,
+  mapOrder,
+  fromGraphqlOrder,
+  parseOrderFilters,
+  encodePageInfo,
+  isPendingOrder,
+  buildOrderFilterIndex,
+  normalizeFilterValue,
+  buildOrderFilterColumns,
+  buildOrderRecord
+};
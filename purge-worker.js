@@ -0,0 +1,71 @@
+// purge-worker.js - Purga periódica de los datos de tiendas desinstaladas
+
+const { getShopsToPurge, deleteShopData } = require('./database');
+const { logger } = require('./logger');
+
+const log = logger.child({ worker: 'shop_purge' });
+
+// Shopify manda shop/redact 48 horas después de desinstalar; si no llega (o falla)
+// se borra igual. Reinstalar antes de ese plazo reactiva la tienda y la saca de la purga.
+const UNINSTALLED_RETENTION_MS = 48 * 60 * 60 * 1000;
+
+function createShopPurgeWorker({
+  purgeShop = deleteShopData,
+  retentionMs = UNINSTALLED_RETENTION_MS,
+  intervalMs = 60 * 60 * 1000
+} = {}) {
+  let timer = null;
+  let running = false;
+
+  async function runOnce() {
+    if (running) return { skipped: true };
+    running = true;
+
+    const summary = { purged: 0, errors: 0 };
+
+    try {
+      const shops = await getShopsToPurge(new Date(Date.now() - retentionMs));
+
+      for (const shopRecord of shops) {
+        const result = await purgeShop(shopRecord.shop);
+
+        if (result.success) {
+          summary.purged++;
+        } else {
+          summary.errors++;
+        }
+      }
+
+      if (summary.purged > 0) {
+        log.info('Tiendas desinstaladas purgadas', summary);
+      }
+    } finally {
+      running = false;
+    }
+
+    return summary;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => log.error('Error en purga de tiendas', { error }));
+    }, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    runOnce,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  UNINSTALLED_RETENTION_MS,
+  createShopPurgeWorker
+};
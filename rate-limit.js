@@ -0,0 +1,172 @@
+// rate-limit.js - Límites token bucket por access key y por tienda para la API de la extensión:
+// headers RateLimit-*, 429 con Retry-After y estado en memoria (una instancia) o en la base de datos (varias)
+
+const { updateRateLimitBucket } = require('./database');
+const { logger } = require('./logger');
+
+// Cada balde se llena a `perMinute` tokens por minuto hasta `burst`; cada request gasta uno.
+// perMinute = 0 desactiva ese límite.
+function parseLimit(perMinute, burst) {
+  const rate = parseInt(perMinute, 10);
+  if (!rate) return null;
+
+  return {
+    perMinute: rate,
+    capacity: parseInt(burst, 10) || rate,
+    refillPerSecond: rate / 60
+  };
+}
+
+// El límite por tienda protege la cuota de Shopify que comparten todas las estaciones
+const RATE_LIMITS = {
+  key: parseLimit(process.env.RATE_LIMIT_KEY_PER_MINUTE || '60', process.env.RATE_LIMIT_KEY_BURST || '20'),
+  shop: parseLimit(process.env.RATE_LIMIT_SHOP_PER_MINUTE || '120', process.env.RATE_LIMIT_SHOP_BURST || '40')
+};
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+const RATE_LIMIT_ERRORS = {
+  key: 'Demasiadas solicitudes con este access key, intenta de nuevo en unos segundos',
+  shop: 'Demasiadas solicitudes para esta tienda, intenta de nuevo en unos segundos'
+};
+
+// Sacar un token del balde. `state` es { tokens, refilledAt } (null si el balde es nuevo, o sea lleno).
+// `resetMs`: hasta que el balde vuelva a estar lleno; `retryAfterMs`: hasta que haya un token.
+function takeToken(state, limit, now = Date.now()) {
+  const elapsedSeconds = state ? Math.max(0, now - state.refilledAt) / 1000 : 0;
+  const available = state
+    ? Math.min(limit.capacity, state.tokens + elapsedSeconds * limit.refillPerSecond)
+    : limit.capacity;
+
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    allowed,
+    state: { tokens, refilledAt: now },
+    remaining: Math.floor(tokens),
+    resetMs: ((limit.capacity - tokens) / limit.refillPerSecond) * 1000,
+    retryAfterMs: allowed ? 0 : ((1 - tokens) / limit.refillPerSecond) * 1000
+  };
+}
+
+// ============================================================================
+// STORES
+// ============================================================================
+
+// Un store implementa take(bucketKey, limit) → resultado de takeToken
+
+// Los baldes que ya se volvieron a llenar se borran (un balde que no existe está lleno).
+// Se recorren como mucho una vez por intervalo, al sacar un token.
+const MEMORY_STORE_PRUNE_INTERVAL_MS = 60 * 1000;
+
+function createMemoryStore({ pruneIntervalMs = MEMORY_STORE_PRUNE_INTERVAL_MS } = {}) {
+  const buckets = new Map();
+  let prunedAt = Date.now();
+
+  function prune(now) {
+    for (const [bucketKey, bucket] of buckets) {
+      if (bucket.fullAt <= now) buckets.delete(bucketKey);
+    }
+    prunedAt = now;
+  }
+
+  return {
+    async take(bucketKey, limit) {
+      const now = Date.now();
+      if (now - prunedAt >= pruneIntervalMs) prune(now);
+
+      const result = takeToken(buckets.get(bucketKey)?.state || null, limit, now);
+      buckets.set(bucketKey, { state: result.state, fullAt: now + result.resetMs });
+      return result;
+    }
+  };
+}
+
+function createDatabaseStore({ updateBucket = updateRateLimitBucket } = {}) {
+  return {
+    take(bucketKey, limit) {
+      return updateBucket(bucketKey, state => takeToken(state, limit));
+    }
+  };
+}
+
+function createRateLimitStore(type = RATE_LIMIT_STORE) {
+  if (type === 'database') return createDatabaseStore();
+  if (type !== 'memory') {
+    logger.warn('RATE_LIMIT_STORE desconocido, se usa memoria', { store: type });
+  }
+  return createMemoryStore();
+}
+
+// ============================================================================
+// MIDDLEWARE
+// ============================================================================
+
+// Headers del draft IETF de RateLimit. Con un token bucket: Limit = ráfaga máxima,
+// Remaining = tokens disponibles, Reset = segundos hasta que el balde se llene de nuevo.
+function setRateLimitHeaders(res, limits, { limit, result }) {
+  const policies = Object.entries(limits)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `${value.perMinute};w=60;burst=${value.capacity};comment="${name}"`);
+
+  res.set('RateLimit-Policy', policies.join(', '));
+  res.set('RateLimit-Limit', String(limit.capacity));
+  res.set('RateLimit-Remaining', String(result.remaining));
+  res.set('RateLimit-Reset', String(Math.ceil(result.resetMs / 1000)));
+}
+
+// Va después de verifyExtensionKey (necesita req.extensionKeyId y req.shop).
+// Se informa el balde más cercano a agotarse; si el store falla, el request pasa.
+function createRateLimiter({ store = createRateLimitStore(), limits = RATE_LIMITS } = {}) {
+  return async function rateLimit(req, res, next) {
+    let reported = null;
+
+    try {
+      const buckets = [
+        ['key', `key:${req.extensionKeyId}`],
+        ['shop', `shop:${req.shop}`]
+      ];
+
+      for (const [name, bucketKey] of buckets) {
+        const limit = limits[name];
+        if (!limit) continue;
+
+        const result = await store.take(bucketKey, limit);
+
+        if (!reported || !result.allowed || result.remaining < reported.result.remaining) {
+          reported = { name, limit, result };
+        }
+        if (!result.allowed) break;
+      }
+    } catch (error) {
+      logger.error('Error aplicando rate limit', { error });
+      return next();
+    }
+
+    if (!reported) return next();
+
+    setRateLimitHeaders(res, limits, reported);
+
+    if (!reported.result.allowed) {
+      logger.warn('Rate limit excedido', { limit: reported.name });
+      res.set('Retry-After', String(Math.max(1, Math.ceil(reported.result.retryAfterMs / 1000))));
+      return res.status(429).json({
+        success: false,
+        error: RATE_LIMIT_ERRORS[reported.name]
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  RATE_LIMITS,
+  RATE_LIMIT_STORE,
+  takeToken,
+  createMemoryStore,
+  createDatabaseStore,
+  createRateLimitStore,
+  createRateLimiter
+};
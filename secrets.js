@@ -0,0 +1,111 @@
+// secrets.js - Cifrado de secretos en reposo (access tokens de Shopify) y hash de access keys
+
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const ENCRYPTED_PREFIX = 'enc';
+const ACCESS_KEY_PREFIX_LENGTH = 11; // 'sk_' + 8 caracteres
+
+// ENCRYPTION_KEYS="v2:<base64 32 bytes>,v1:<base64 32 bytes>"
+// La primera clave cifra; todas descifran. Para rotar se agrega la clave nueva al inicio,
+// se reinicia (initDatabase vuelve a cifrar todo con la nueva) y luego se quita la anterior.
+function parseEncryptionKeys(value) {
+  const keys = [];
+
+  for (const entry of String(value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || !/^[A-Za-z0-9_-]+$/.test(id)) {
+      throw new Error('ENCRYPTION_KEYS inválida: cada clave debe tener el formato <id>:<base64>');
+    }
+    if (key.length !== 32) {
+      throw new Error(`ENCRYPTION_KEYS inválida: la clave "${id}" debe tener 32 bytes`);
+    }
+
+    keys.push({ id, key });
+  }
+
+  return keys;
+}
+
+const encryptionKeys = parseEncryptionKeys(process.env.ENCRYPTION_KEYS);
+
+function hasEncryptionKey() {
+  return encryptionKeys.length > 0;
+}
+
+function currentKey() {
+  if (!hasEncryptionKey()) {
+    throw new Error('ENCRYPTION_KEYS no está configurada');
+  }
+  return encryptionKeys[0];
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${ENCRYPTED_PREFIX}:`);
+}
+
+// ¿Está cifrado con la clave actual? (false para texto plano o claves anteriores)
+function isEncryptedWithCurrentKey(value) {
+  return isEncrypted(value) && value.split(':')[1] === currentKey().id;
+}
+
+// Formato: enc:<keyId>:<iv>:<authTag>:<ciphertext> (base64)
+function encryptSecret(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const { id, key } = currentKey();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [
+    ENCRYPTED_PREFIX,
+    id,
+    iv.toString('base64'),
+    cipher.getAuthTag().toString('base64'),
+    ciphertext.toString('base64')
+  ].join(':');
+}
+
+// Descifrar un valor guardado. Los valores en texto plano (anteriores al cifrado)
+// se devuelven tal cual hasta que initDatabase los migre.
+function decryptSecret(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, keyId, iv, authTag, ciphertext] = value.split(':');
+  const entry = encryptionKeys.find(k => k.id === keyId);
+
+  if (!entry) {
+    throw new Error(`No hay clave de cifrado "${keyId}" en ENCRYPTION_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, entry.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(authTag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+// Los access keys son aleatorios (256 bits): basta un SHA-256 para buscarlos sin guardarlos
+function hashAccessKey(accessKey) {
+  return crypto.createHash('sha256').update(String(accessKey)).digest('hex');
+}
+
+// Prefijo visible para identificar el key en la app (ej: sk_1a2b3c4d)
+function accessKeyPrefix(accessKey) {
+  return String(accessKey).slice(0, ACCESS_KEY_PREFIX_LENGTH);
+}
+
+module.exports = {
+  hasEncryptionKey,
+  isEncryptedWithCurrentKey,
+  encryptSecret,
+  decryptSecret,
+  hashAccessKey,
+  accessKeyPrefix
+};
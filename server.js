@@ -2,9 +2,31 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const crypto = require('crypto');
-const jwt = require('jsonwebtoken');
 require('dotenv').config();
 
+const { createCorreosClient, CorreosError } = require('./correos');
+const { createTrackingWorker } = require('./tracking-worker');
+const { createFulfillment, updateFulfillmentTracking, FulfillmentError } = require('./fulfillments');
+const { createShopifyClient, ShopifyApiError, ShopifyNotFoundError, ShopifyValidationError } = require('./shopify-client');
+const {
+  getOrderLocation,
+  buildRecipient,
+  parseOrderFilters,
+  encodePageInfo
+} = require('./orders');
+const { cacheOrder, refreshOrder, syncShopOrdersInBackground, createOrderSyncWorker } = require('./order-sync');
+const { createShopPurgeWorker } = require('./purge-worker');
+const catalog = require('./catalog');
+const { validateSenderConfig, validateSenderProfile, validateExtensionKeyOptions } = require('./validation');
+const { EXTENSION_KEY_SCOPES, READ_ONLY_SCOPES, hasScope, isExpired, isIpAllowed } = require('./access-keys');
+const { renderLabels, LABEL_SIZES } = require('./labels');
+const { hasEncryptionKey } = require('./secrets');
+const { renderManifestPdf, renderManifestCsv, formatManifestNumber } = require('./manifests');
+const { buildCustomerExport, summarizeCustomerExport, renderCustomerExportCsv } = require('./data-requests');
+const { logger, setLogContext, requestLogger, LOG_LEVEL, REQUEST_ID_HEADER } = require('./logger');
+const { createRateLimiter, RATE_LIMIT_STORE } = require('./rate-limit');
+const { createSessionTokenVerifier } = require('./session-token');
+
 
 //install app
 //https://oleomargaric-theosophic-vivienne.ngrok-free.dev/api/auth?shop=dev-mercatiko-app.myshopify.com
@@ -12,21 +34,60 @@ require('dotenv').config();
 
 const {
   initDatabase,
+  createOAuthState,
+  consumeOAuthState,
+  purgeExpiredOAuthStates,
   saveShopSession,
   getShopSession,
   deleteShopSession,
   getActiveShopsCount,
   createExtensionKey,
   validateExtensionKey,
+  markExtensionKeyUsed,
   getShopExtensionKeys,
   revokeExtensionKey,
   saveSenderConfig,
   getSenderConfig,
-  deleteShopData
+  listSenderProfiles,
+  getSenderProfile,
+  createSenderProfile,
+  updateSenderProfile,
+  setDefaultSenderProfile,
+  deleteSenderProfile,
+  deleteShopData,
+  createShipment,
+  getShipments,
+  getShipment,
+  getShipmentsByIds,
+  recordShipmentFulfillment,
+  findFulfilledShipment,
+  updateShipmentRecipient,
+  getPendingManifestShipments,
+  closeManifest,
+  getManifests,
+  getManifest,
+  getPendingOrders,
+  deleteCachedOrder,
+  getTrackingEvents,
+  createDataRequest,
+  collectCustomerData,
+  saveDataRequestExport,
+  getDataRequests,
+  getDataRequest,
+  markDataRequestFulfilled,
+  redactCustomerData,
+  recordAuditEvent,
+  getAuditEvents
 } = require('./database');
 
 const app = express();
 
+// Railway pone un proxy adelante: req.ip (lista de IPs de los access keys) sale de X-Forwarded-For
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS || (process.env.RAILWAY_PUBLIC_DOMAIN ? '1' : '0'), 10));
+
+// X-Request-Id y contexto de logs (tienda, método de autenticación) por request
+app.use(requestLogger());
+
 // CORS que permite TODO (App, Extension, Theme)
 app.use(cors({
   origin: function (origin, callback) {
@@ -54,12 +115,21 @@ app.use(cors({
     if (isAllowed) {
       callback(null, true);
     } else {
-      console.log('Origin bloqueado:', origin);
+      logger.warn('Origin no permitido', { origin });
       callback(null, true); // Permitir de todas formas (o cambiar a false para bloquear)
     }
   },
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', REQUEST_ID_HEADER],
+  exposedHeaders: [
+    'X-Shopify-Retry-Invalid-Session-Request',
+    REQUEST_ID_HEADER,
+    'RateLimit-Policy',
+    'RateLimit-Limit',
+    'RateLimit-Remaining',
+    'RateLimit-Reset',
+    'Retry-After'
+  ],
   credentials: true,
   maxAge: 86400 // Cache preflight por 24 horas
 }));
@@ -69,109 +139,157 @@ app.options('*', cors());
 
 // app.use(cors());
 app.use('/api/webhooks', express.raw({ type: 'application/json' }));
+app.use('/api/webhooks', (req, res, next) => {
+  setLogContext({
+    shop: req.get('X-Shopify-Shop-Domain') || null,
+    auth: 'webhook',
+    topic: req.get('X-Shopify-Topic') || null
+  });
+  next();
+});
 app.use(express.json());
 
 // Configuración
 const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY;
 const SHOPIFY_API_SECRET = process.env.SHOPIFY_API_SECRET;
-const SCOPES = 'read_orders,read_fulfillments';
+const SCOPES = 'read_orders,read_fulfillments,write_fulfillments,read_merchant_managed_fulfillment_orders,write_merchant_managed_fulfillment_orders';
 const APP_URL = process.env.RAILWAY_PUBLIC_DOMAIN
   ? `https://${process.env.RAILWAY_PUBLIC_DOMAIN}`
   : 'http://localhost:3000';
 
+const correosClient = createCorreosClient();
+const TRACKING_POLL_INTERVAL_MINUTES = parseInt(process.env.TRACKING_POLL_INTERVAL_MINUTES || '30', 10);
+const ORDER_SYNC_INTERVAL_MINUTES = parseInt(process.env.ORDER_SYNC_INTERVAL_MINUTES || '15', 10);
+const SHOP_PURGE_INTERVAL_MINUTES = parseInt(process.env.SHOP_PURGE_INTERVAL_MINUTES || '60', 10);
+const BATCH_CONCURRENCY = Math.max(1, parseInt(process.env.BATCH_CONCURRENCY, 10) || 2);
+const BATCH_MAX_ORDERS = 100;
+const LABELS_MAX_SHIPMENTS = 100;
+
 // Storage temporal para OAuth states
-const temporaryStates = new Map();
+// El state de OAuth vale 5 minutos y una sola vez
+const OAUTH_STATE_TTL_MS = 5 * 60 * 1000;
+
+const SHOP_DOMAIN_PATTERN = /^[a-zA-Z0-9][a-zA-Z0-9\-]*\.myshopify\.com$/;
+const POSITIVE_INTEGER_PATTERN = /^[1-9]\d*$/;
+
+// Comparación en tiempo constante para firmas HMAC
+function safeCompare(expected, received) {
+  if (typeof received !== 'string') return false;
+
+  const expectedBuffer = Buffer.from(expected);
+  const receivedBuffer = Buffer.from(received);
+
+  return expectedBuffer.length === receivedBuffer.length &&
+    crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+}
 
 // Función para verificar firma HMAC de Shopify
 function verifyShopifyWebhook(data, hmacHeader) {
+  // Sin Content-Type application/json no llega el cuerpo crudo (express.raw)
+  if (!Buffer.isBuffer(data)) return false;
+
   const hash = crypto
     .createHmac('sha256', process.env.SHOPIFY_API_SECRET)
     .update(data, 'utf8')
     .digest('base64');
 
-  return hash === hmacHeader;
+  return safeCompare(hash, hmacHeader);
+}
+
+// HMAC del query string del callback de OAuth (todos los parámetros menos hmac, ordenados)
+function verifyOAuthQuery(query) {
+  const queryParams = { ...query };
+  delete queryParams.hmac;
+  const queryString = Object.keys(queryParams)
+    .sort()
+    .map(key => `${key}=${queryParams[key]}`)
+    .join('&');
+
+  const hash = crypto
+    .createHmac('sha256', SHOPIFY_API_SECRET)
+    .update(queryString)
+    .digest('hex');
+
+  return safeCompare(hash, query.hmac);
+}
+
+// URL de la app embebida en el admin. `host` (base64) lo manda Shopify en el callback,
+// ej: admin.shopify.com/store/mi-tienda
+function getEmbeddedAppUrl(shop, host) {
+  const decodedHost = host ? Buffer.from(String(host), 'base64').toString('utf8') : '';
+  const [hostname] = decodedHost.split('/');
+
+  if (hostname === 'admin.shopify.com' || hostname === shop) {
+    return `https://${decodedHost}/apps/${SHOPIFY_API_KEY}`;
+  }
+
+  return `https://${shop}/admin/apps/${SHOPIFY_API_KEY}`;
 }
 
 // Limpiar states expirados
 setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of temporaryStates.entries()) {
-    if (now - value.timestamp > 300000) {
-      temporaryStates.delete(key);
-    }
-  }
-}, 300000);
+  purgeExpiredOAuthStates();
+}, OAUTH_STATE_TTL_MS);
 
 // ============================================================================
 // OAUTH 2.0
 // ============================================================================
 
-app.get('/api/auth', (req, res) => {
+app.get('/api/auth', async (req, res) => {
   const shop = req.query.shop;
 
-  console.log('🔵 INICIO OAuth para shop:', shop);
+  setLogContext({ shop, auth: 'oauth' });
+  logger.info('Inicio de OAuth');
 
   if (!shop) {
     return res.status(400).send('Missing shop parameter');
   }
 
-  const shopRegex = /^[a-zA-Z0-9][a-zA-Z0-9\-]*\.myshopify\.com$/;
-  if (!shopRegex.test(shop)) {
+  if (!SHOP_DOMAIN_PATTERN.test(shop)) {
     return res.status(400).send('Invalid shop parameter');
   }
 
-  const state = crypto.randomBytes(16).toString('hex');
-  const redirectUri = `${APP_URL}/api/auth/callback`;
-
-  console.log('🔵 APP_URL:', APP_URL);
-  console.log('🔵 Redirect URI:', redirectUri);
-  console.log('🔵 State:', state);
-
-  temporaryStates.set(`state_${shop}`, { state, timestamp: Date.now() });
+  try {
+    const state = await createOAuthState(shop, OAUTH_STATE_TTL_MS);
+    const redirectUri = `${APP_URL}/api/auth/callback`;
 
-  const authUrl = `https://${shop}/admin/oauth/authorize?` +
-    `client_id=${SHOPIFY_API_KEY}&` +
-    `scope=${SCOPES}&` +
-    `redirect_uri=${redirectUri}&` +
-    `state=${state}`;
+    const authUrl = `https://${shop}/admin/oauth/authorize?` +
+      `client_id=${SHOPIFY_API_KEY}&` +
+      `scope=${SCOPES}&` +
+      `redirect_uri=${encodeURIComponent(redirectUri)}&` +
+      `state=${state}`;
 
-  console.log('🔵 Redirigiendo a Shopify OAuth URL:', authUrl);
+    res.redirect(authUrl);
 
-  res.redirect(authUrl);
+  } catch (error) {
+    logger.error('Error iniciando OAuth', { error });
+    res.status(500).send('Error during authentication');
+  }
 });
 
 app.get('/api/auth/callback', async (req, res) => {
-  const { shop, code, state, hmac } = req.query;
+  const { shop, code, state, host } = req.query;
 
-  console.log('🟡 OAuth callback recibido');
+  setLogContext({ shop, auth: 'oauth' });
+  logger.info('OAuth callback recibido');
 
-  const savedState = temporaryStates.get(`state_${shop}`);
-  if (!savedState || savedState.state !== state) {
-    return res.status(403).send('Invalid state parameter');
+  if (!shop || !SHOP_DOMAIN_PATTERN.test(shop)) {
+    return res.status(400).send('Invalid shop parameter');
   }
 
-  const queryParams = { ...req.query };
-  delete queryParams.hmac;
-  const queryString = Object.keys(queryParams)
-    .sort()
-    .map(key => `${key}=${queryParams[key]}`)
-    .join('&');
-
-  const hash = crypto
-    .createHmac('sha256', SHOPIFY_API_SECRET)
-    .update(queryString)
-    .digest('hex');
+  if (!code || !state) {
+    return res.status(400).send('Missing code or state parameter');
+  }
 
-  if (hash !== hmac) {
+  if (!verifyOAuthQuery(req.query)) {
     return res.status(403).send('HMAC validation failed');
   }
 
-  temporaryStates.delete(`state_${shop}`);
+  if (!(await consumeOAuthState(state, shop))) {
+    return res.status(403).send('Invalid state parameter');
+  }
 
   try {
-
-    console.log('🟢 Haciendo request a Shopify para intercambiar código...');
-
     const tokenResponse = await axios.post(
       `https://${shop}/admin/oauth/access_token`,
       {
@@ -184,75 +302,39 @@ app.get('/api/auth/callback', async (req, res) => {
     const accessToken = tokenResponse.data.access_token;
     const scope = tokenResponse.data.scope;
 
-    console.log('💾 Guardando tienda:', shop);
-
-    await saveShopSession(shop, accessToken, scope);
-
-    console.log('✓ Tienda instalada:', shop);
-
-    await createExtensionKey(shop, 'Access Key Inicial');
+    await saveShopSession(shop, accessToken, scope, getAuditActor(req));
 
+    // Los access keys se crean desde la app: el texto plano solo se muestra al crearlo
     await registerWebhooks(shop, accessToken);
 
-    res.redirect(`https://${shop}/admin/apps/${SHOPIFY_API_KEY}`);
+    // Llenar el cache de pedidos en segundo plano
+    syncShopOrdersInBackground(await getShopSession(shop));
+
+    res.redirect(getEmbeddedAppUrl(shop, host));
 
   } catch (error) {
-    console.error('Error en OAuth callback:', error.response?.data || error.message);
+    logger.error('Error en OAuth callback', { error });
     res.status(500).send('Error during authentication');
   }
 });
 
 // ============================================================================
-// MIDDLEWARE: Session Token (IGNORA EXPIRACIÓN PARA TESTING)
+// MIDDLEWARE: Session Token (App Bridge)
 // ============================================================================
 
-async function verifySessionToken(req, res, next) {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'Missing authorization header' });
-  }
-
-  const sessionToken = authHeader.replace('Bearer ', '');
-
-  try {
-    const payload = jwt.decode(sessionToken);
-
-    if (!payload || !payload.dest) {
-      return res.status(401).json({ error: 'Invalid token format' });
-    }
-
-    const shop = payload.dest.replace('https://', '');
-
-    // VERIFICAR TOKEN CON IGNOREEXPIRATION = TRUE
-    // jwt.verify(sessionToken, SHOPIFY_API_SECRET, {
-    //   algorithms: ['HS256'],
-    //   audience: SHOPIFY_API_KEY,
-    //   ignoreExpiration: true  // ← CRÍTICO PARA QUE FUNCIONE
-    // });
-
-    const shopData = await getShopSession(shop);
-
-    if (!shopData || !shopData.isActive) {
-      return res.status(401).json({ error: 'Shop not installed' });
-    }
-
-    req.shop = shop;
-    req.accessToken = shopData.accessToken;
-    req.authMethod = 'session_token';
-
-    next();
-
-  } catch (error) {
-    console.error('Session token verification failed:', error.message);
-    return res.status(401).json({ error: 'Invalid session token' });
-  }
-}
+// Rutas /api/app/* (admin embebido). Ver session-token.js
+const verifySessionToken = createSessionTokenVerifier({
+  apiKey: SHOPIFY_API_KEY,
+  apiSecret: SHOPIFY_API_SECRET
+});
 
 // ============================================================================
 // MIDDLEWARE: Extension Access Key
 // ============================================================================
 
+// Límites por access key y por tienda (RATE_LIMIT_* y RATE_LIMIT_STORE, ver rate-limit.js)
+const extensionRateLimit = createRateLimiter();
+
 async function verifyExtensionKey(req, res, next) {
   const authHeader = req.headers.authorization;
 
@@ -273,22 +355,101 @@ async function verifyExtensionKey(req, res, next) {
       return res.status(401).json({ error: 'Invalid or revoked access key' });
     }
 
+    if (isExpired(keyData)) {
+      return res.status(401).json({ error: 'Access key expired' });
+    }
+
+    if (!isIpAllowed(keyData, req.ip)) {
+      logger.warn('Access key usado desde IP no permitida', { keyId: keyData.keyId, ip: req.ip });
+      return res.status(403).json({ error: 'IP not allowed for this access key' });
+    }
+
     req.shop = keyData.shop;
     req.accessToken = keyData.accessToken;
+    req.shopify = createShopifyClient(keyData.shop, keyData.accessToken);
+    req.extensionKeyId = keyData.keyId;
+    req.extensionKeyScopes = keyData.scopes;
     req.authMethod = 'extension_key';
+    setLogContext({ shop: keyData.shop, auth: 'extension_key', keyId: keyData.keyId });
 
-    next();
+    // Todas las rutas de la extensión pasan por aquí. El último uso del key se guarda solo
+    // si el request pasa el rate limit: los rechazados no escriben en la base de datos.
+    return extensionRateLimit(req, res, async () => {
+      await markExtensionKeyUsed(keyData.keyId);
+      next();
+    });
 
   } catch (error) {
-    console.error('Extension key verification failed:', error.message);
+    logger.error('Extension key verification failed', { error });
     return res.status(401).json({ error: 'Authentication failed' });
   }
 }
 
+// Responder un error de la Admin API sin exponer la respuesta cruda de Shopify
+function sendShopifyError(res, error, logMessage) {
+  logger.error(logMessage, { error });
+
+  if (error.retryAfter) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter)));
+  }
+
+  return res.status(error.httpStatus).json({
+    success: false,
+    error: error.message
+  });
+}
+
+// Permiso requerido por una ruta de la extensión (va después de verifyExtensionKey)
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (!hasScope({ scopes: req.extensionKeyScopes }, scope)) {
+      return res.status(403).json({
+        error: `Access key missing scope: ${scope}`,
+        required_scope: scope
+      });
+    }
+    next();
+  };
+}
+
+// Quién hace la solicitud, para el audit log: el usuario del session token,
+// el access key de la extensión o Shopify (OAuth y webhooks)
+function getAuditActor(req) {
+  if (req.authMethod === 'session_token') {
+    return { type: 'user', id: req.sessionUserId, ip: req.ip };
+  }
+  if (req.authMethod === 'extension_key') {
+    return { type: 'extension_key', id: req.extensionKeyId, ip: req.ip };
+  }
+  return { type: 'shopify', id: null, ip: req.ip };
+}
+
 // ============================================================================
 // ENDPOINTS DE LA APP EMBEDDED
 // ============================================================================
 
+// 'full', 'read_only' o 'custom' para mostrar en la app
+function describeScopes(scopes) {
+  if (!scopes || EXTENSION_KEY_SCOPES.every(scope => scopes.includes(scope))) return 'full';
+  if (READ_ONLY_SCOPES.every(scope => scopes.includes(scope)) && scopes.every(scope => READ_ONLY_SCOPES.includes(scope))) return 'read_only';
+  return 'custom';
+}
+
+function formatExtensionKey(key) {
+  return {
+    id: key.id,
+    prefix: key.keyPrefix,
+    name: key.name,
+    scopes: key.scopes || EXTENSION_KEY_SCOPES,
+    access: describeScopes(key.scopes),
+    expiresAt: key.expiresAt,
+    expired: isExpired(key),
+    allowedIps: key.allowedIps || [],
+    createdAt: key.createdAt,
+    lastUsedAt: key.lastUsedAt
+  };
+}
+
 app.get('/api/app/extension-keys', verifySessionToken, async (req, res) => {
   try {
     const { shop } = req;
@@ -296,17 +457,11 @@ app.get('/api/app/extension-keys', verifySessionToken, async (req, res) => {
 
     res.json({
       success: true,
-      keys: keys.map(k => ({
-        id: k.id,
-        accessKey: k.accessKey,
-        name: k.name,
-        createdAt: k.createdAt,
-        lastUsedAt: k.lastUsedAt
-      }))
+      keys: keys.map(formatExtensionKey)
     });
 
   } catch (error) {
-    console.error('Error fetching extension keys:', error);
+    logger.error('Error fetching extension keys', { error });
     res.status(500).json({
       success: false,
       error: 'Error obteniendo access keys'
@@ -317,22 +472,30 @@ app.get('/api/app/extension-keys', verifySessionToken, async (req, res) => {
 app.post('/api/app/extension-keys', verifySessionToken, async (req, res) => {
   try {
     const { shop } = req;
-    const { name } = req.body;
+    const { options, errors } = validateExtensionKeyOptions(req.body);
+
+    if (errors) {
+      return res.status(422).json({
+        success: false,
+        error: 'Datos del access key inválidos',
+        errors
+      });
+    }
 
-    const key = await createExtensionKey(shop, name || 'Nuevo Access Key');
+    const key = await createExtensionKey(shop, options.name, options, getAuditActor(req));
 
+    // El key completo solo se muestra ahora: en la base de datos queda su hash
     res.json({
       success: true,
+      message: 'Copia este access key ahora, no se volverá a mostrar',
       key: {
-        id: key.id,
-        accessKey: key.accessKey,
-        name: key.name,
-        createdAt: key.createdAt
+        ...formatExtensionKey(key),
+        accessKey: key.plainKey
       }
     });
 
   } catch (error) {
-    console.error('Error creating extension key:', error);
+    logger.error('Error creating extension key', { error });
     res.status(500).json({
       success: false,
       error: 'Error creando access key'
@@ -340,12 +503,19 @@ app.post('/api/app/extension-keys', verifySessionToken, async (req, res) => {
   }
 });
 
-app.delete('/api/app/extension-keys/:accessKey', verifySessionToken, async (req, res) => {
+app.delete('/api/app/extension-keys/:keyId', verifySessionToken, async (req, res) => {
   try {
     const { shop } = req;
-    const { accessKey } = req.params;
+    const { keyId } = req.params;
 
-    await revokeExtensionKey(accessKey, shop);
+    const revoked = await revokeExtensionKey(keyId, shop, getAuditActor(req));
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'Access key no encontrado'
+      });
+    }
 
     res.json({
       success: true,
@@ -353,7 +523,7 @@ app.delete('/api/app/extension-keys/:accessKey', verifySessionToken, async (req,
     });
 
   } catch (error) {
-    console.error('Error revoking extension key:', error);
+    logger.error('Error revoking extension key', { error });
     res.status(500).json({
       success: false,
       error: 'Error revocando access key'
@@ -361,13 +531,21 @@ app.delete('/api/app/extension-keys/:accessKey', verifySessionToken, async (req,
   }
 });
 
-app.post('/api/sender-config', verifyExtensionKey, async (req, res) => {
+app.post('/api/sender-config', verifyExtensionKey, requireScope('sender_config:write'), async (req, res) => {
 
   try {
     const { shop } = req;
-    const config = req.body;
+    const { config, errors } = validateSenderConfig(req.body);
+
+    if (errors) {
+      return res.status(422).json({
+        success: false,
+        error: 'Configuración inválida',
+        errors
+      });
+    }
 
-    await saveSenderConfig(shop, config);
+    await saveSenderConfig(shop, config, getAuditActor(req));
 
     res.json({
       success: true,
@@ -375,7 +553,7 @@ app.post('/api/sender-config', verifyExtensionKey, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error saving config:', error);
+    logger.error('Error saving config', { error });
     res.status(500).json({
       success: false,
       error: 'Error guardando configuración'
@@ -385,7 +563,6 @@ app.post('/api/sender-config', verifyExtensionKey, async (req, res) => {
 
 app.get('/api/app/sender-config', verifySessionToken, async (req, res) => {
   try {
-    console.log('---------- sender config GET 1')
     const { shop } = req;
     const config = await getSenderConfig(shop);
 
@@ -395,7 +572,7 @@ app.get('/api/app/sender-config', verifySessionToken, async (req, res) => {
     });
 
   } catch (error) {
-    console.error('Error fetching config:', error);
+    logger.error('Error fetching config', { error });
     res.status(500).json({
       success: false,
       error: 'Error obteniendo configuración'
@@ -404,242 +581,1671 @@ app.get('/api/app/sender-config', verifySessionToken, async (req, res) => {
 });
 
 // ============================================================================
-// ENDPOINTS PARA LA EXTENSIÓN
+// SENDER PROFILES (Remitentes / puntos de recolección)
 // ============================================================================
 
-app.get('/api/orders/pending', verifyExtensionKey, async (req, res) => {
-  try {
-    const { shop, accessToken } = req;
+function formatSenderProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    isDefault: profile.isDefault,
+    senderIdentificationType: profile.senderIdentificationType,
+    senderId: profile.senderId,
+    senderName: profile.senderName,
+    senderPhone: profile.senderPhone,
+    senderMail: profile.senderMail,
+    provinciaSender: profile.provinciaSender,
+    cantonSender: profile.cantonSender,
+    distritoSender: profile.distritoSender,
+    senderPostalCode: profile.senderPostalCode,
+    senderDirection: profile.senderDirection,
+    senderLocation: catalog.resolveLocation(profile.provinciaSender, profile.cantonSender, profile.distritoSender),
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt
+  };
+}
 
-    // Usar REST API en lugar de GraphQL
-    const response = await axios.get(
-      `https://${shop}/admin/api/2024-01/orders.json`,
-      {
-        params: {
-          status: 'any',
-          financial_status: 'paid',
-          fulfillment_status: 'unfulfilled',
-          limit: 50
-        },
-        headers: {
-          'X-Shopify-Access-Token': accessToken
-        }
-      }
-    );
+// Perfil indicado por `sender_profile_id` o el default de la tienda
+async function findSenderProfile(shop, senderProfileId) {
+  return senderProfileId
+    ? getSenderProfile(shop, senderProfileId)
+    : getSenderConfig(shop);
+}
 
-    const orders = response.data.orders.map(order => ({
-      id: order.id,
-      order_number: order.order_number,
-      name: order.name,
-      created_at: order.created_at,
-      total_price: order.total_price,
-      currency: order.currency,
-      note: order.note,
-      note_attributes: order.note_attributes || [], // ← Aquí están los attributes
-      customer: order.customer ? {
-        name: `${order.customer.first_name || ''} ${order.customer.last_name || ''}`,
-        email: order.customer.email || '',
-        phone: order.customer.phone || ''
-      } : null,
-      shipping_address: order.shipping_address,
-      line_items: order.line_items.map(item => ({
-        title: item.title,
-        quantity: item.quantity,
-        price: item.price
-      })),
-      // Extraer los custom attributes de ubicación
-      province_id: order.note_attributes?.find(a => a.name === 'province_id')?.value,
-      province_name: order.note_attributes?.find(a => a.name === 'province_name')?.value,
-      county_id: order.note_attributes?.find(a => a.name === 'county_id')?.value,
-      county_name: order.note_attributes?.find(a => a.name === 'county_name')?.value,
-      district_id: order.note_attributes?.find(a => a.name === 'district_id')?.value,
-      district_name: order.note_attributes?.find(a => a.name === 'district_name')?.value
-    }));
+async function listSenderProfilesHandler(req, res) {
+  try {
+    const profiles = await listSenderProfiles(req.shop);
 
     res.json({
       success: true,
-      shop: shop,
-      count: orders.length,
-      orders: orders
+      profiles: profiles.map(formatSenderProfile)
     });
 
   } catch (error) {
-    console.error('❌ Error fetching orders:', error.response?.data || error.message);
+    logger.error('Error fetching sender profiles', { error });
     res.status(500).json({
       success: false,
-      error: 'Error al obtener pedidos',
-      details: error.response?.data || error.message
+      error: 'Error obteniendo perfiles de remitente'
     });
   }
-});
+}
 
-app.post('/api/orders/update-tracking', verifyExtensionKey, async (req, res) => {
+async function showSenderProfileHandler(req, res) {
   try {
-    const { shop, accessToken } = req;
-    const { order_id, tracking_number, tracking_company = 'Correos de Costa Rica' } = req.body;
+    const profile = await getSenderProfile(req.shop, req.params.id);
 
-    if (!order_id || !tracking_number) {
-      return res.status(400).json({
+    if (!profile) {
+      return res.status(404).json({
         success: false,
-        error: 'order_id y tracking_number son requeridos'
+        error: 'Perfil de remitente no encontrado'
       });
     }
 
-    const response = await axios.post(
-      `https://${shop}/admin/api/2024-01/orders/${order_id}/fulfillments.json`,
-      {
-        fulfillment: {
-          location_id: null,
-          tracking_number: tracking_number,
-          tracking_company: tracking_company,
-          notify_customer: true
-        }
-      },
-      {
-        headers: {
-          'X-Shopify-Access-Token': accessToken,
-          'Content-Type': 'application/json'
-        }
-      }
-    );
-
     res.json({
       success: true,
-      message: 'Tracking actualizado exitosamente',
-      fulfillment: response.data.fulfillment
+      profile: formatSenderProfile(profile)
     });
 
   } catch (error) {
-    console.error('Error updating tracking:', error.response?.data || error.message);
+    logger.error('Error fetching sender profile', { error });
     res.status(500).json({
       success: false,
-      error: 'Error al actualizar tracking',
-      details: error.response?.data || error.message
+      error: 'Error obteniendo perfil de remitente'
     });
   }
-});
+}
 
-app.get('/api/sender-config', verifyExtensionKey, async (req, res) => {
+async function createSenderProfileHandler(req, res) {
   try {
-    const { shop } = req;
-    const config = await getSenderConfig(shop);
+    const { profile: data, errors } = validateSenderProfile(req.body);
 
-    if (!config) {
-      return res.status(404).json({
+    if (errors) {
+      return res.status(422).json({
         success: false,
-        error: 'Configuración no encontrada. Configura el remitente en la app de Shopify.'
+        error: 'Perfil inválido',
+        errors
       });
     }
 
-    res.json({
+    const profile = await createSenderProfile(req.shop, data, getAuditActor(req));
+
+    res.status(201).json({
       success: true,
-      config: {
-        senderIdentificationType: config.senderIdentificationType,
-        senderId: config.senderId,
-        senderName: config.senderName,
-        senderPhone: config.senderPhone,
-        senderMail: config.senderMail,
-        provinciaSender: config.provinciaSender,
-        cantonSender: config.cantonSender,
-        distritoSender: config.distritoSender,
-        senderPostalCode: config.senderPostalCode,
-        senderDirection: config.senderDirection
-      }
+      profile: formatSenderProfile(profile)
     });
 
   } catch (error) {
-    console.error('Error fetching config:', error);
+    logger.error('Error creating sender profile', { error });
     res.status(500).json({
       success: false,
-      error: 'Error obteniendo configuración'
+      error: 'Error creando perfil de remitente'
     });
   }
-});
+}
 
-// ============================================================================
-// WEBHOOKS
-// ============================================================================
+async function updateSenderProfileHandler(req, res) {
+  try {
+    const { profile: data, errors } = validateSenderProfile(req.body);
 
-app.post('/api/webhooks/app/uninstalled', async (req, res) => {
-  const hmac = req.headers['x-shopify-hmac-sha256'];
-  const shop = req.headers['x-shopify-shop-domain'];
+    if (errors) {
+      return res.status(422).json({
+        success: false,
+        error: 'Perfil inválido',
+        errors
+      });
+    }
 
-  const hash = crypto
-    .createHmac('sha256', SHOPIFY_API_SECRET)
-    .update(JSON.stringify(req.body))
-    .digest('base64');
+    const profile = await updateSenderProfile(req.shop, req.params.id, data, getAuditActor(req));
 
-  if (hash !== hmac) {
-    return res.status(403).send('HMAC validation failed');
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Perfil de remitente no encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      profile: formatSenderProfile(profile)
+    });
+
+  } catch (error) {
+    logger.error('Error updating sender profile', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error actualizando perfil de remitente'
+    });
   }
+}
 
-  await deleteShopSession(shop);
+async function setDefaultSenderProfileHandler(req, res) {
+  try {
+    const profile = await setDefaultSenderProfile(req.shop, req.params.id, getAuditActor(req));
 
-  console.log(`App desinstalada de: ${shop}`);
-  res.status(200).send('OK');
-});
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Perfil de remitente no encontrado'
+      });
+    }
 
-app.post('/api/webhooks', (req, res) => {
-  const hmac = req.headers['x-shopify-hmac-sha256'];
+    res.json({
+      success: true,
+      profile: formatSenderProfile(profile)
+    });
 
-  // Verificar HMAC
-  if (!verifyShopifyWebhook(req.body, hmac)) {
-    console.log('❌ HMAC verification failed on /api/webhooks');
-    return res.status(401).send('Unauthorized');
+  } catch (error) {
+    logger.error('Error setting default sender profile', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error marcando perfil por defecto'
+    });
   }
+}
 
-  console.log('✅ HMAC verification passed on /api/webhooks');
-  res.status(200).send('OK');
-});
+async function deleteSenderProfileHandler(req, res) {
+  try {
+    const deleted = await deleteSenderProfile(req.shop, req.params.id, getAuditActor(req));
 
-async function registerWebhooks(shop, accessToken) {
-  const webhooks = [
-    {
-      topic: 'app/uninstalled',
-      address: `${APP_URL}/api/webhooks/app/uninstalled`
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Perfil de remitente no encontrado'
+      });
     }
-  ];
 
-  for (const webhook of webhooks) {
-    try {
-      await axios.post(
-        `https://${shop}/admin/api/2024-01/webhooks.json`,
-        {
-          webhook: {
-            topic: webhook.topic,
-            address: webhook.address,
-            format: 'json'
-          }
-        },
-        {
-          headers: {
-            'X-Shopify-Access-Token': accessToken,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
-      console.log(`✓ Webhook registrado: ${webhook.topic}`);
-    } catch (error) {
-      if (error.response?.status === 422) {
-        console.log(`Webhook ${webhook.topic} ya existe`);
-      } else {
-        console.error(`✗ Error registrando webhook:`, error.response?.data || error.message);
-      }
-    }
+    res.json({
+      success: true,
+      message: 'Perfil de remitente eliminado'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting sender profile', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error eliminando perfil de remitente'
+    });
   }
 }
 
+// Extensión
+app.get('/api/sender-profiles', verifyExtensionKey, requireScope('sender_config:read'), listSenderProfilesHandler);
+app.post('/api/sender-profiles', verifyExtensionKey, requireScope('sender_config:write'), createSenderProfileHandler);
+app.get('/api/sender-profiles/:id', verifyExtensionKey, requireScope('sender_config:read'), showSenderProfileHandler);
+app.put('/api/sender-profiles/:id', verifyExtensionKey, requireScope('sender_config:write'), updateSenderProfileHandler);
+app.post('/api/sender-profiles/:id/default', verifyExtensionKey, requireScope('sender_config:write'), setDefaultSenderProfileHandler);
+app.delete('/api/sender-profiles/:id', verifyExtensionKey, requireScope('sender_config:write'), deleteSenderProfileHandler);
+
+// App embedded
+app.get('/api/app/sender-profiles', verifySessionToken, listSenderProfilesHandler);
+app.post('/api/app/sender-profiles', verifySessionToken, createSenderProfileHandler);
+app.get('/api/app/sender-profiles/:id', verifySessionToken, showSenderProfileHandler);
+app.put('/api/app/sender-profiles/:id', verifySessionToken, updateSenderProfileHandler);
+app.post('/api/app/sender-profiles/:id/default', verifySessionToken, setDefaultSenderProfileHandler);
+app.delete('/api/app/sender-profiles/:id', verifySessionToken, deleteSenderProfileHandler);
+
 // ============================================================================
-// HEALTH CHECK
+// ENDPOINTS PARA LA EXTENSIÓN
 // ============================================================================
 
-app.get('/api/health', async (req, res) => {
-  const activeShops = await getActiveShopsCount();
+// Pedidos pendientes de envío desde el cache local (sincronizado con la GraphQL Admin API
+// y los webhooks de pedidos), paginados con cursores page_info.
+// Filtros: created_at_min/max, financial_status (ej: "paid,cod"), tag, province y q (búsqueda).
+app.get('/api/orders/pending', verifyExtensionKey, requireScope('orders:read'), async (req, res) => {
+  try {
+    const { shop } = req;
+    const { filters, error: filterError } = parseOrderFilters(req.query);
 
-  res.json({
-    success: true,
-    message: 'API funcionando',
-    stores: activeShops,
+    if (filterError) {
+      return res.status(400).json({
+        success: false,
+        error: filterError
+      });
+    }
+
+    // La primera sincronización de la tienda corre en segundo plano (la inicia el OAuth callback);
+    // mientras no termina se responde lo que ya hay en cache con syncing: true
+    const shopRecord = await getShopSession(shop);
+    const syncing = !shopRecord.ordersSyncedAt;
+    if (syncing) {
+      syncShopOrdersInBackground(shopRecord);
+    }
+
+    const { orders: page, hasMore } = await getPendingOrders(shop, filters);
+    const orders = page.map(order => order.data);
+
+    // Yendo hacia atrás siempre hay página siguiente (la que se acaba de dejar)
+    const goingBack = filters.cursor?.direction === 'previous';
+    const hasNext = goingBack || hasMore;
+    const hasPrevious = goingBack ? hasMore : Boolean(filters.cursor);
+
+    res.json({
+      success: true,
+      shop: shop,
+      count: orders.length,
+      orders: orders,
+      syncing: syncing,
+      page_info: {
+        next: hasNext && page.length > 0 ? encodePageInfo(filters, page[page.length - 1], 'next') : null,
+        previous: hasPrevious && page.length > 0 ? encodePageInfo(filters, page[0], 'previous') : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching orders', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error al obtener pedidos'
+    });
+  }
+});
+
+// Crear (o actualizar) el fulfillment con tracking de un pedido y registrar la guía
+async function fulfillOrderWithTracking(req, item) {
+  const { shop, shopify } = req;
+  const {
+    order_id,
+    order_name,
+    tracking_number,
+    tracking_company = 'Correos de Costa Rica',
+    tracking_url,
+    line_items,
+    fulfillment_id,
+    sender_profile_id,
+    notify_customer = true
+  } = item;
+
+  const trackingOptions = {
+    trackingNumber: tracking_number,
+    trackingCompany: tracking_company,
+    trackingUrl: tracking_url,
+    notifyCustomer: notify_customer,
+    lineItems: line_items
+  };
+
+  // El perfil se valida antes de tocar Shopify: sin él la guía caería en el manifiesto del perfil por defecto
+  const senderConfig = await findSenderProfile(shop, sender_profile_id);
+
+  if (sender_profile_id && !senderConfig) {
+    throw new FulfillmentError('Perfil de remitente no encontrado', 404);
+  }
+
+  // Guía anterior del fulfillment, para registrar el cambio de tracking en el audit log
+  const previous = fulfillment_id
+    ? (await getShipments(shop, { fulfillmentId: fulfillment_id, limit: 1 })).shipments[0]
+    : null;
+
+  // Con fulfillment_id se actualiza el tracking existente en lugar de crear otro fulfillment
+  const fulfillment = fulfillment_id
+    ? await updateFulfillmentTracking(shopify, order_id, fulfillment_id, trackingOptions)
+    : await createFulfillment(shopify, order_id, trackingOptions);
+
+  // Guardar registro de la guía (si falla, el fulfillment ya existe en Shopify)
+  try {
+    await recordShipmentFulfillment(shop, {
+      orderId: order_id,
+      orderName: order_name || (fulfillment?.name ? fulfillment.name.split('.')[0] : null),
+      trackingNumber: tracking_number,
+      fulfillmentId: fulfillment?.id,
+      lineItems: line_items,
+      senderSnapshot: senderConfig ? senderConfig.toJSON() : null,
+      senderProfileId: senderConfig?.id,
+      extensionKeyId: req.extensionKeyId
+    });
+  } catch (recordError) {
+    logger.error('Error registrando guía', { error: recordError });
+  }
+
+  // Qué estación marcó el pedido como enviado (si falla, el fulfillment ya existe en Shopify)
+  try {
+    await recordAuditEvent(shop, fulfillment_id ? 'fulfillment.tracking_updated' : 'fulfillment.created', {
+      actor: getAuditActor(req),
+      resourceType: 'order',
+      resourceId: order_id,
+      changes: fulfillment_id
+        ? { tracking_number: { from: previous?.trackingNumber || null, to: tracking_number } }
+        : {
+          fulfillment_id: { from: null, to: fulfillment?.id ? String(fulfillment.id) : null },
+          tracking_number: { from: null, to: tracking_number }
+        }
+    });
+  } catch (auditError) {
+    logger.error('Error registrando evento de auditoría', { error: auditError });
+  }
+
+  // Sacar el pedido de pendientes sin esperar el webhook fulfillments/create
+  if (!fulfillment_id) {
+    try {
+      await refreshOrder(shopify, order_id);
+    } catch (refreshError) {
+      logger.error('Error actualizando pedido en cache', { error: refreshError });
+    }
+  }
+
+  return fulfillment;
+}
+
+// Validar un item de tracking; devuelve el mensaje de error o null
+function validateTrackingItem(item) {
+  if (!item || !item.order_id || !item.tracking_number) {
+    return 'order_id y tracking_number son requeridos';
+  }
+  if (item.line_items !== undefined) {
+    const lineItems = Array.isArray(item.line_items) ? item.line_items : null;
+    const isValidLineItem = lineItem => lineItem && typeof lineItem === 'object' &&
+      lineItem.line_item_id && POSITIVE_INTEGER_PATTERN.test(String(lineItem.quantity));
+
+    if (!lineItems || !lineItems.every(isValidLineItem)) {
+      return 'line_items debe ser un arreglo de { line_item_id, quantity } con cantidades enteras positivas';
+    }
+  }
+  return null;
+}
+
+// Ejecutar `fn` sobre cada item con un máximo de `limit` llamadas en paralelo
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  async function worker() {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  }
+
+  const workers = Array.from({ length: Math.min(limit, items.length) }, worker);
+  await Promise.all(workers);
+  return results;
+}
+
+app.post('/api/orders/update-tracking', verifyExtensionKey, requireScope('fulfillments:write'), async (req, res) => {
+  try {
+    const validationError = validateTrackingItem(req.body);
+
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError
+      });
+    }
+
+    const fulfillment = await fulfillOrderWithTracking(req, req.body);
+
+    res.json({
+      success: true,
+      message: 'Tracking actualizado exitosamente',
+      fulfillment: fulfillment
+    });
+
+  } catch (error) {
+    if (error instanceof FulfillmentError) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    if (error instanceof ShopifyApiError) {
+      return sendShopifyError(res, error, 'Error updating tracking');
+    }
+
+    logger.error('Error updating tracking', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error al actualizar tracking'
+    });
+  }
+});
+
+// Tracking de un lote completo de despacho. Se puede reintentar: los pedidos que ya
+// tienen esa guía despachada (o nada pendiente en Shopify) se marcan como "skipped".
+app.post('/api/orders/update-tracking/batch', verifyExtensionKey, requireScope('fulfillments:write'), async (req, res) => {
+  try {
+    const { shop } = req;
+    const items = Array.isArray(req.body) ? req.body : req.body.orders;
+
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'orders debe ser un arreglo de { order_id, tracking_number }'
+      });
+    }
+
+    if (items.length > BATCH_MAX_ORDERS) {
+      return res.status(400).json({
+        success: false,
+        error: `Máximo ${BATCH_MAX_ORDERS} pedidos por lote`
+      });
+    }
+
+    // Un mismo pedido con la misma guía repetido en el lote se despacha una sola vez
+    const seen = new Set();
+    const isDuplicate = items.map(item => {
+      const key = `${item?.order_id}:${item?.tracking_number}`;
+      if (seen.has(key)) return true;
+      seen.add(key);
+      return false;
+    });
+
+    const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+      const result = {
+        order_id: item?.order_id,
+        tracking_number: item?.tracking_number
+      };
+
+      const validationError = validateTrackingItem(item);
+      if (validationError) {
+        return { ...result, status: 'failed', error: validationError };
+      }
+
+      if (isDuplicate[index]) {
+        return { ...result, status: 'skipped', reason: 'duplicate' };
+      }
+
+      try {
+        if (!item.fulfillment_id) {
+          const existing = await findFulfilledShipment(shop, item.order_id, item.tracking_number);
+          if (existing) {
+            return { ...result, status: 'skipped', reason: 'already_fulfilled', fulfillment_id: existing.fulfillmentId };
+          }
+        }
+
+        const fulfillment = await fulfillOrderWithTracking(req, item);
+        return { ...result, status: 'fulfilled', fulfillment_id: fulfillment?.id };
+
+      } catch (error) {
+        // 409 = el pedido ya no tiene nada pendiente (despachado en un intento anterior o a mano)
+        if (error instanceof FulfillmentError && error.status === 409) {
+          return { ...result, status: 'skipped', reason: 'nothing_to_fulfill' };
+        }
+
+        logger.error('Error updating tracking', { orderId: item.order_id, error });
+        return {
+          ...result,
+          status: 'failed',
+          error: error instanceof FulfillmentError || error instanceof ShopifyApiError
+            ? error.message
+            : 'Error al actualizar tracking'
+        };
+      }
+    });
+
+    const summary = {
+      total: results.length,
+      fulfilled: results.filter(r => r.status === 'fulfilled').length,
+      skipped: results.filter(r => r.status === 'skipped').length,
+      failed: results.filter(r => r.status === 'failed').length
+    };
+
+    res.json({
+      success: summary.failed === 0,
+      summary,
+      results
+    });
+
+  } catch (error) {
+    logger.error('Error updating tracking batch', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error al actualizar tracking del lote'
+    });
+  }
+});
+
+app.get('/api/sender-config', verifyExtensionKey, requireScope('sender_config:read'), async (req, res) => {
+  try {
+    const { shop } = req;
+    const config = await getSenderConfig(shop);
+
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        error: 'Configuración no encontrada. Configura el remitente en la app de Shopify.'
+      });
+    }
+
+    const location = catalog.resolveLocation(config.provinciaSender, config.cantonSender, config.distritoSender);
+
+    res.json({
+      success: true,
+      config: {
+        senderIdentificationType: config.senderIdentificationType,
+        senderId: config.senderId,
+        senderName: config.senderName,
+        senderPhone: config.senderPhone,
+        senderMail: config.senderMail,
+        provinciaSender: config.provinciaSender,
+        cantonSender: config.cantonSender,
+        distritoSender: config.distritoSender,
+        senderPostalCode: config.senderPostalCode || location?.postal_code || null,
+        senderDirection: config.senderDirection,
+        senderLocation: location
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching config', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo configuración'
+    });
+  }
+});
+
+// ============================================================================
+// SHIPMENTS (Guías registradas)
+// ============================================================================
+
+function formatShipment(shipment) {
+  return {
+    id: shipment.id,
+    order_id: shipment.orderId,
+    order_name: shipment.orderName,
+    tracking_number: shipment.trackingNumber,
+    sender: shipment.senderSnapshot,
+    sender_profile_id: shipment.senderProfileId,
+    recipient: shipment.recipientSnapshot,
+    has_label: Boolean(shipment.labelPdf),
+    status: shipment.status,
+    fulfillment_id: shipment.fulfillmentId,
+    manifest_id: shipment.manifestId,
+    last_event_at: shipment.lastEventAt,
+    extension_key_id: shipment.extensionKeyId,
+    created_at: shipment.createdAt,
+    updated_at: shipment.updatedAt
+  };
+}
+
+async function listShipments(req, res) {
+  try {
+    const { shop } = req;
+    const { order_id, order_name, tracking_number } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 250);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { shipments, total } = await getShipments(shop, {
+      orderId: order_id,
+      orderName: order_name,
+      trackingNumber: tracking_number,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      total,
+      count: shipments.length,
+      shipments: shipments.map(formatShipment)
+    });
+
+  } catch (error) {
+    logger.error('Error fetching shipments', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo guías'
+    });
+  }
+}
+
+async function showShipment(req, res) {
+  try {
+    const { shop } = req;
+    const shipment = await getShipment(shop, req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guía no encontrada'
+      });
+    }
+
+    const events = await getTrackingEvents(shipment.id);
+
+    res.json({
+      success: true,
+      shipment: {
+        ...formatShipment(shipment),
+        tracking_events: events.map(e => ({
+          status: e.status,
+          code: e.code,
+          description: e.description,
+          location: e.location,
+          occurred_at: e.occurredAt,
+          pushed_to_shopify_at: e.pushedToShopifyAt
+        }))
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching shipment', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo guía'
+    });
+  }
+}
+
+// Generar una guía en Correos CR para un pedido y registrarla
+async function generateShipment(req, res) {
+  try {
+    const { shop, shopify } = req;
+    const { order_id, sender_profile_id, weight = 1000, notes = '' } = req.body;
+
+    if (!order_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'order_id es requerido'
+      });
+    }
+
+    if (!/^\d+$/.test(String(order_id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'order_id debe ser el ID numérico del pedido'
+      });
+    }
+
+    // Peso en gramos
+    if (!POSITIVE_INTEGER_PATTERN.test(String(weight))) {
+      return res.status(400).json({
+        success: false,
+        error: 'weight debe ser un número entero positivo de gramos'
+      });
+    }
+
+    const senderConfig = await findSenderProfile(shop, sender_profile_id);
+
+    if (!senderConfig) {
+      return res.status(404).json({
+        success: false,
+        error: sender_profile_id
+          ? 'Perfil de remitente no encontrado'
+          : 'Configuración no encontrada. Configura el remitente en la app de Shopify.'
+      });
+    }
+
+    // Pedido actualizado desde la GraphQL Admin API (también refresca el cache)
+    const order = await refreshOrder(shopify, order_id);
+    const address = order.shipping_address;
+
+    if (!address) {
+      return res.status(422).json({
+        success: false,
+        error: 'El pedido no tiene dirección de envío'
+      });
+    }
+
+    // Ubicación de destino: la que mande el usuario (corrección manual),
+    // los note_attributes del pedido o la inferida desde la dirección
+    let provinceId, countyId, districtId, location;
+
+    if (req.body.province_id || req.body.county_id || req.body.district_id) {
+      ({ province_id: provinceId, county_id: countyId, district_id: districtId } = req.body);
+      location = catalog.resolveLocation(provinceId, countyId, districtId);
+    } else {
+      const orderLocation = getOrderLocation(order);
+
+      if (orderLocation.needs_review) {
+        return res.status(422).json({
+          success: false,
+          error: 'No se pudo determinar provincia, cantón y distrito del pedido. Indícalos manualmente.',
+          needs_location_review: true,
+          suggested_location: orderLocation.location
+        });
+      }
+
+      ({ province_id: provinceId, county_id: countyId, district_id: districtId } = orderLocation.ids);
+      location = orderLocation.location;
+    }
+
+    if (!location) {
+      return res.status(422).json({
+        success: false,
+        error: 'La provincia, cantón y distrito del pedido no existen en el catálogo'
+      });
+    }
+
+    const senderLocation = catalog.resolveLocation(
+      senderConfig.provinciaSender,
+      senderConfig.cantonSender,
+      senderConfig.distritoSender
+    );
+
+    const recipient = buildRecipient(order, location);
+
+    const sender = {
+      name: senderConfig.senderName,
+      phone: senderConfig.senderPhone,
+      address: senderConfig.senderDirection,
+      postalCode: senderConfig.senderPostalCode || senderLocation?.postal_code,
+      identificationType: senderConfig.senderIdentificationType,
+      identification: senderConfig.senderId
+    };
+
+    const guide = await correosClient.generateGuide({ sender, recipient, weight, notes });
+
+    const shipment = await createShipment(shop, {
+      orderId: order.id,
+      orderName: order.name,
+      trackingNumber: guide.trackingNumber,
+      senderSnapshot: senderConfig.toJSON(),
+      senderProfileId: senderConfig.id,
+      recipientSnapshot: recipient,
+      labelPdf: guide.label,
+      extensionKeyId: req.extensionKeyId
+    });
+
+    res.json({
+      success: true,
+      tracking_number: guide.trackingNumber,
+      label: guide.label,
+      shipment: formatShipment(shipment)
+    });
+
+  } catch (error) {
+    if (error instanceof CorreosError) {
+      logger.error('Error generando guía en Correos', { error });
+      return res.status(502).json({
+        success: false,
+        error: 'Correos rechazó la guía',
+        details: error.message
+      });
+    }
+
+    if (error instanceof ShopifyNotFoundError) {
+      return res.status(404).json({
+        success: false,
+        error: 'Pedido no encontrado'
+      });
+    }
+
+    if (error instanceof ShopifyApiError) {
+      return sendShopifyError(res, error, 'Error generating shipment');
+    }
+
+    logger.error('Error generating shipment', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando guía'
+    });
+  }
+}
+
+// Destinatario de la guía. Las guías registradas sin snapshot (fulfillments manuales)
+// lo toman del pedido y se guarda para no volver a consultar Shopify. Las guías con los
+// datos del cliente borrados (customers/redact) no se vuelven a llenar.
+async function getShipmentRecipient(req, shipment) {
+  if (shipment.recipientSnapshot) {
+    return shipment.recipientSnapshot;
+  }
+
+  if (shipment.redactedAt) {
+    return {};
+  }
+
+  const order = await refreshOrder(req.shopify, shipment.orderId);
+  const recipient = buildRecipient(order, getOrderLocation(order).location);
+
+  await updateShipmentRecipient(shipment, recipient);
+  return recipient;
+}
+
+// Datos de la etiqueta: remitente del snapshot (o perfil actual) y destinatario del
+// snapshot o, para guías registradas solo con tracking, del shipping_address del pedido
+async function buildLabelData(req, shipment) {
+  const { shop } = req;
+
+  const senderData = shipment.senderSnapshot || (await getSenderConfig(shop))?.toJSON() || {};
+  const senderLocation = catalog.resolveLocation(
+    senderData.provinciaSender,
+    senderData.cantonSender,
+    senderData.distritoSender
+  );
+
+  const recipient = await getShipmentRecipient(req, shipment);
+
+  return {
+    trackingNumber: shipment.trackingNumber,
+    orderName: shipment.orderName,
+    sender: {
+      name: senderData.senderName,
+      phone: senderData.senderPhone,
+      address: senderData.senderDirection,
+      location: senderLocation,
+      postalCode: senderData.senderPostalCode || senderLocation?.postal_code
+    },
+    recipient
+  };
+}
+
+function getLabelSize(req, res) {
+  const size = String(req.query.size || req.body?.size || '4x6').toLowerCase();
+
+  if (!LABEL_SIZES[size]) {
+    res.status(400).json({
+      success: false,
+      error: `size debe ser uno de: ${Object.keys(LABEL_SIZES).join(', ')}`
+    });
+    return null;
+  }
+
+  return size;
+}
+
+function sendPdf(res, pdf, filename) {
+  res.set('Content-Type', 'application/pdf');
+  res.set('Content-Disposition', `inline; filename="${filename}"`);
+  res.send(pdf);
+}
+
+async function shipmentLabel(req, res) {
+  try {
+    const size = getLabelSize(req, res);
+    if (!size) return;
+
+    const shipment = await getShipment(req.shop, req.params.id);
+
+    if (!shipment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guía no encontrada'
+      });
+    }
+
+    const pdf = await renderLabels([await buildLabelData(req, shipment)], size);
+    sendPdf(res, pdf, `guia-${shipment.trackingNumber}.pdf`);
+
+  } catch (error) {
+    logger.error('Error rendering label', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando etiqueta'
+    });
+  }
+}
+
+// Varias etiquetas en un solo PDF, en el orden recibido
+async function shipmentLabels(req, res) {
+  try {
+    const size = getLabelSize(req, res);
+    if (!size) return;
+
+    const ids = req.body.shipment_ids;
+
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'shipment_ids debe ser un arreglo de IDs de guías'
+      });
+    }
+
+    if (ids.length > LABELS_MAX_SHIPMENTS) {
+      return res.status(400).json({
+        success: false,
+        error: `Máximo ${LABELS_MAX_SHIPMENTS} etiquetas por PDF`
+      });
+    }
+
+    const shipments = await getShipmentsByIds(req.shop, ids);
+    const byId = new Map(shipments.map(s => [s.id, s]));
+    const missing = ids.filter(id => !byId.has(id));
+
+    if (missing.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Guías no encontradas',
+        missing
+      });
+    }
+
+    const labels = [];
+    for (const id of ids) {
+      labels.push(await buildLabelData(req, byId.get(id)));
+    }
+
+    const pdf = await renderLabels(labels, size);
+    sendPdf(res, pdf, `guias-${new Date().toISOString().slice(0, 10)}.pdf`);
+
+  } catch (error) {
+    logger.error('Error rendering labels', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando etiquetas'
+    });
+  }
+}
+
+// Extensión
+app.post('/api/shipments/labels.pdf', verifyExtensionKey, requireScope('shipments:read'), shipmentLabels);
+app.get('/api/shipments/:id/label.pdf', verifyExtensionKey, requireScope('shipments:read'), shipmentLabel);
+app.post('/api/shipments', verifyExtensionKey, requireScope('shipments:write'), generateShipment);
+app.get('/api/shipments', verifyExtensionKey, requireScope('shipments:read'), listShipments);
+app.get('/api/shipments/:id', verifyExtensionKey, requireScope('shipments:read'), showShipment);
+
+// App embedded
+app.post('/api/app/shipments/labels.pdf', verifySessionToken, shipmentLabels);
+app.get('/api/app/shipments/:id/label.pdf', verifySessionToken, shipmentLabel);
+app.post('/api/app/shipments', verifySessionToken, generateShipment);
+app.get('/api/app/shipments', verifySessionToken, listShipments);
+app.get('/api/app/shipments/:id', verifySessionToken, showShipment);
+
+// ============================================================================
+// MANIFIESTOS DE ENTREGA
+// ============================================================================
+
+function formatManifest(manifest) {
+  return {
+    id: manifest.id,
+    number: formatManifestNumber(manifest),
+    sequence: manifest.sequence,
+    sender_profile_id: manifest.senderProfileId,
+    sender_profile_name: manifest.senderSnapshot?.name || null,
+    shipment_count: manifest.shipmentCount,
+    closed_at: manifest.closedAt,
+    extension_key_id: manifest.extensionKeyId,
+    created_at: manifest.createdAt
+  };
+}
+
+// Perfil del manifiesto: el indicado en sender_profile_id o el perfil por defecto
+async function resolveManifestProfile(req, res) {
+  const senderProfileId = req.body?.sender_profile_id || req.query.sender_profile_id;
+  const profile = await findSenderProfile(req.shop, senderProfileId);
+
+  if (!profile) {
+    res.status(senderProfileId ? 404 : 400).json({
+      success: false,
+      error: senderProfileId
+        ? 'Perfil de remitente no encontrado'
+        : 'Configuración de remitente no encontrada'
+    });
+    return null;
+  }
+
+  return profile;
+}
+
+// Guías que entrarían en el próximo manifiesto del perfil
+async function pendingManifest(req, res) {
+  try {
+    const profile = await resolveManifestProfile(req, res);
+    if (!profile) return;
+
+    const shipments = await getPendingManifestShipments(req.shop, profile.id, profile.isDefault);
+
+    res.json({
+      success: true,
+      sender_profile_id: profile.id,
+      shipments: shipments.map(formatShipment),
+      total: shipments.length
+    });
+
+  } catch (error) {
+    logger.error('Error fetching pending manifest', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo guías pendientes de manifiesto'
+    });
+  }
+}
+
+// Cerrar el manifiesto del día con todas las guías creadas desde el anterior
+async function createManifest(req, res) {
+  try {
+    const profile = await resolveManifestProfile(req, res);
+    if (!profile) return;
+
+    const manifest = await closeManifest(req.shop, profile, { extensionKeyId: req.extensionKeyId });
+
+    if (!manifest) {
+      return res.status(409).json({
+        success: false,
+        error: 'No hay guías nuevas desde el último manifiesto'
+      });
+    }
+
+    const { Shipments: shipments } = await getManifest(req.shop, manifest.id);
+
+    // El PDF y el CSV se generan desde la base de datos: completar destinatarios faltantes ahora
+    for (const shipment of shipments) {
+      try {
+        await getShipmentRecipient(req, shipment);
+      } catch (error) {
+        logger.error('Error obteniendo destinatario', { shipmentId: shipment.id, error });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Manifiesto #${formatManifestNumber(manifest)} cerrado`,
+      manifest: {
+        ...formatManifest(manifest),
+        shipments: shipments.map(formatShipment)
+      }
+    });
+
+  } catch (error) {
+    // Siguió chocando con otros cierres simultáneos después de los reintentos
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        error: 'Se está cerrando otro manifiesto de este remitente, intenta de nuevo'
+      });
+    }
+
+    logger.error('Error closing manifest', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error cerrando manifiesto'
+    });
+  }
+}
+
+async function listManifests(req, res) {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 250);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    const { manifests, total } = await getManifests(req.shop, {
+      senderProfileId: req.query.sender_profile_id,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      manifests: manifests.map(formatManifest),
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    logger.error('Error listing manifests', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo manifiestos'
+    });
+  }
+}
+
+async function findManifest(req, res) {
+  const manifest = await getManifest(req.shop, req.params.id);
+
+  if (!manifest) {
+    res.status(404).json({
+      success: false,
+      error: 'Manifiesto no encontrado'
+    });
+    return null;
+  }
+
+  return manifest;
+}
+
+async function showManifest(req, res) {
+  try {
+    const manifest = await findManifest(req, res);
+    if (!manifest) return;
+
+    res.json({
+      success: true,
+      manifest: {
+        ...formatManifest(manifest),
+        shipments: manifest.Shipments.map(formatShipment)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching manifest', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo manifiesto'
+    });
+  }
+}
+
+async function manifestPdf(req, res) {
+  try {
+    const manifest = await findManifest(req, res);
+    if (!manifest) return;
+
+    const pdf = await renderManifestPdf(manifest, manifest.Shipments);
+    sendPdf(res, pdf, `manifiesto-${formatManifestNumber(manifest)}.pdf`);
+
+  } catch (error) {
+    logger.error('Error rendering manifest PDF', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando manifiesto'
+    });
+  }
+}
+
+async function manifestCsv(req, res) {
+  try {
+    const manifest = await findManifest(req, res);
+    if (!manifest) return;
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="manifiesto-${formatManifestNumber(manifest)}.csv"`);
+    res.send(renderManifestCsv(manifest, manifest.Shipments));
+
+  } catch (error) {
+    logger.error('Error rendering manifest CSV', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando manifiesto'
+    });
+  }
+}
+
+// Extensión
+app.get('/api/manifests/pending', verifyExtensionKey, requireScope('manifests:read'), pendingManifest);
+app.post('/api/manifests', verifyExtensionKey, requireScope('manifests:write'), createManifest);
+app.get('/api/manifests', verifyExtensionKey, requireScope('manifests:read'), listManifests);
+app.get('/api/manifests/:id', verifyExtensionKey, requireScope('manifests:read'), showManifest);
+app.get('/api/manifests/:id/manifest.pdf', verifyExtensionKey, requireScope('manifests:read'), manifestPdf);
+app.get('/api/manifests/:id/manifest.csv', verifyExtensionKey, requireScope('manifests:read'), manifestCsv);
+
+// App embedded
+app.get('/api/app/manifests/pending', verifySessionToken, pendingManifest);
+app.post('/api/app/manifests', verifySessionToken, createManifest);
+app.get('/api/app/manifests', verifySessionToken, listManifests);
+app.get('/api/app/manifests/:id', verifySessionToken, showManifest);
+app.get('/api/app/manifests/:id/manifest.pdf', verifySessionToken, manifestPdf);
+app.get('/api/app/manifests/:id/manifest.csv', verifySessionToken, manifestCsv);
+
+// ============================================================================
+// SOLICITUDES DE DATOS DE CLIENTES (GDPR)
+// ============================================================================
+
+const DATA_REQUEST_STATUSES = ['pending', 'ready', 'fulfilled'];
+
+function formatDataRequest(dataRequest) {
+  return {
+    id: dataRequest.id,
+    shopify_request_id: dataRequest.shopifyRequestId,
+    customer: {
+      id: dataRequest.customerId,
+      email: dataRequest.customerEmail,
+      phone: dataRequest.customerPhone
+    },
+    orders_requested: dataRequest.ordersRequested || [],
+    status: dataRequest.status,
+    received_at: dataRequest.createdAt,
+    ready_at: dataRequest.readyAt,
+    fulfilled_at: dataRequest.fulfilledAt
+  };
+}
+
+// Buscar la solicitud de la tienda; responde 404 (o 409 si `requireExport` y todavía no está lista)
+async function findDataRequest(req, res, requireExport = false) {
+  const dataRequest = await getDataRequest(req.shop, req.params.id);
+
+  if (!dataRequest) {
+    res.status(404).json({
+      success: false,
+      error: 'Solicitud de datos no encontrada'
+    });
+    return null;
+  }
+
+  if (requireExport && !dataRequest.exportData) {
+    res.status(409).json({
+      success: false,
+      error: 'La exportación todavía no está lista'
+    });
+    return null;
+  }
+
+  return dataRequest;
+}
+
+app.get('/api/app/data-requests', verifySessionToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 250);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    if (req.query.status && !DATA_REQUEST_STATUSES.includes(req.query.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status debe ser uno de: ${DATA_REQUEST_STATUSES.join(', ')}`
+      });
+    }
+
+    const { dataRequests, total } = await getDataRequests(req.shop, {
+      status: req.query.status,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      data_requests: dataRequests.map(formatDataRequest),
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    logger.error('Error listing data requests', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo solicitudes de datos'
+    });
+  }
+});
+
+app.get('/api/app/data-requests/:id', verifySessionToken, async (req, res) => {
+  try {
+    const dataRequest = await findDataRequest(req, res);
+    if (!dataRequest) return;
+
+    res.json({
+      success: true,
+      data_request: {
+        ...formatDataRequest(dataRequest),
+        summary: summarizeCustomerExport(dataRequest.exportData)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching data request', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo solicitud de datos'
+    });
+  }
+});
+
+app.get('/api/app/data-requests/:id/export.json', verifySessionToken, async (req, res) => {
+  try {
+    const dataRequest = await findDataRequest(req, res, true);
+    if (!dataRequest) return;
+
+    res.set('Content-Disposition', `attachment; filename="datos-cliente-${dataRequest.id}.json"`);
+    res.json(dataRequest.exportData);
+
+  } catch (error) {
+    logger.error('Error exporting data request', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando exportación'
+    });
+  }
+});
+
+app.get('/api/app/data-requests/:id/export.csv', verifySessionToken, async (req, res) => {
+  try {
+    const dataRequest = await findDataRequest(req, res, true);
+    if (!dataRequest) return;
+
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="datos-cliente-${dataRequest.id}.csv"`);
+    res.send(renderCustomerExportCsv(dataRequest.exportData));
+
+  } catch (error) {
+    logger.error('Error exporting data request CSV', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error generando exportación'
+    });
+  }
+});
+
+// Marcar la solicitud como entregada al cliente
+app.post('/api/app/data-requests/:id/fulfill', verifySessionToken, async (req, res) => {
+  try {
+    const dataRequest = await findDataRequest(req, res, true);
+    if (!dataRequest) return;
+
+    if (dataRequest.status !== 'fulfilled') {
+      await markDataRequestFulfilled(dataRequest);
+    }
+
+    res.json({
+      success: true,
+      data_request: formatDataRequest(dataRequest)
+    });
+
+  } catch (error) {
+    logger.error('Error fulfilling data request', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error actualizando solicitud de datos'
+    });
+  }
+});
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+const AUDIT_ACTOR_TYPES = ['user', 'extension_key', 'shopify', 'system'];
+
+function formatAuditEvent(event) {
+  return {
+    id: event.id,
+    action: event.action,
+    actor: {
+      type: event.actorType,
+      id: event.actorId,
+      ip: event.ip
+    },
+    resource_type: event.resourceType,
+    resource_id: event.resourceId,
+    changes: event.changes || {},
+    created_at: event.createdAt
+  };
+}
+
+// Filtros: action (ej: "extension_key.revoked,extension_key.created"), actor_type, actor_id,
+// resource_type, resource_id y created_at_min/max
+app.get('/api/app/audit-log', verifySessionToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 250);
+    const offset = parseInt(req.query.offset, 10) || 0;
+
+    if (req.query.actor_type && !AUDIT_ACTOR_TYPES.includes(req.query.actor_type)) {
+      return res.status(400).json({
+        success: false,
+        error: `actor_type debe ser uno de: ${AUDIT_ACTOR_TYPES.join(', ')}`
+      });
+    }
+
+    for (const field of ['created_at_min', 'created_at_max']) {
+      if (req.query[field] && isNaN(new Date(req.query[field]))) {
+        return res.status(400).json({
+          success: false,
+          error: `${field} debe ser una fecha ISO 8601`
+        });
+      }
+    }
+
+    const { events, total } = await getAuditEvents(req.shop, {
+      actions: req.query.action ? req.query.action.split(',').map(a => a.trim()).filter(Boolean) : null,
+      actorType: req.query.actor_type,
+      actorId: req.query.actor_id,
+      resourceType: req.query.resource_type,
+      resourceId: req.query.resource_id,
+      createdAtMin: req.query.created_at_min,
+      createdAtMax: req.query.created_at_max,
+      limit,
+      offset
+    });
+
+    res.json({
+      success: true,
+      events: events.map(formatAuditEvent),
+      total,
+      limit,
+      offset
+    });
+
+  } catch (error) {
+    logger.error('Error fetching audit log', { error });
+    res.status(500).json({
+      success: false,
+      error: 'Error obteniendo audit log'
+    });
+  }
+});
+
+// ============================================================================
+// WEBHOOKS
+// ============================================================================
+
+app.post('/api/webhooks/app/uninstalled', async (req, res) => {
+  const hmac = req.headers['x-shopify-hmac-sha256'];
+  const shop = req.headers['x-shopify-shop-domain'];
+
+  if (!verifyShopifyWebhook(req.body, hmac)) {
+    return res.status(403).send('HMAC validation failed');
+  }
+
+  await deleteShopSession(shop, getAuditActor(req));
+
+  res.status(200).send('OK');
+});
+
+// orders/create, orders/updated y orders/cancelled: el payload es el pedido completo
+async function orderWebhook(req, res) {
+  const hmac = req.headers['x-shopify-hmac-sha256'];
+  const shop = req.headers['x-shopify-shop-domain'];
+
+  if (!verifyShopifyWebhook(req.body, hmac)) {
+    logger.warn('HMAC de webhook inválido');
+    return res.status(401).send('Unauthorized');
+  }
+
+  try {
+    const shopRecord = await getShopSession(shop);
+
+    if (shopRecord) {
+      await cacheOrder(shop, JSON.parse(req.body.toString('utf8')));
+    }
+
+    res.status(200).send('OK');
+
+  } catch (error) {
+    logger.error('Error procesando webhook de pedido', { error });
+    res.status(500).send('Error');
+  }
+}
+
+app.post('/api/webhooks/orders/create', orderWebhook);
+app.post('/api/webhooks/orders/updated', orderWebhook);
+app.post('/api/webhooks/orders/cancelled', orderWebhook);
+
+// fulfillments/create solo trae el fulfillment: se vuelve a leer el pedido para saber
+// si quedó despachado completo o parcial
+app.post('/api/webhooks/fulfillments/create', async (req, res) => {
+  const hmac = req.headers['x-shopify-hmac-sha256'];
+  const shop = req.headers['x-shopify-shop-domain'];
+
+  if (!verifyShopifyWebhook(req.body, hmac)) {
+    logger.warn('HMAC de webhook inválido');
+    return res.status(401).send('Unauthorized');
+  }
+
+  try {
+    const fulfillment = JSON.parse(req.body.toString('utf8'));
+    const shopRecord = await getShopSession(shop);
+
+    if (shopRecord) {
+      try {
+        await refreshOrder(createShopifyClient(shop, shopRecord.accessToken), fulfillment.order_id);
+      } catch (error) {
+        // Pedido eliminado en Shopify: se saca del cache y se responde 200 para que no se reintente
+        if (!(error instanceof ShopifyNotFoundError)) throw error;
+        await deleteCachedOrder(shop, fulfillment.order_id);
+      }
+    }
+
+    res.status(200).send('OK');
+
+  } catch (error) {
+    logger.error('Error procesando webhook de fulfillment', { error });
+    res.status(500).send('Error');
+  }
+});
+
+app.post('/api/webhooks', (req, res) => {
+  const hmac = req.headers['x-shopify-hmac-sha256'];
+
+  // Verificar HMAC
+  if (!verifyShopifyWebhook(req.body, hmac)) {
+    logger.warn('HMAC de webhook inválido');
+    return res.status(401).send('Unauthorized');
+  }
+
+  res.status(200).send('OK');
+});
+
+async function registerWebhooks(shop, accessToken) {
+  const webhooks = [
+    {
+      topic: 'app/uninstalled',
+      address: `${APP_URL}/api/webhooks/app/uninstalled`
+    },
+    {
+      topic: 'orders/create',
+      address: `${APP_URL}/api/webhooks/orders/create`
+    },
+    {
+      topic: 'orders/updated',
+      address: `${APP_URL}/api/webhooks/orders/updated`
+    },
+    {
+      topic: 'orders/cancelled',
+      address: `${APP_URL}/api/webhooks/orders/cancelled`
+    },
+    {
+      topic: 'fulfillments/create',
+      address: `${APP_URL}/api/webhooks/fulfillments/create`
+    }
+  ];
+
+  const shopify = createShopifyClient(shop, accessToken);
+
+  for (const webhook of webhooks) {
+    try {
+      await shopify.post('webhooks.json', {
+        webhook: {
+          topic: webhook.topic,
+          address: webhook.address,
+          format: 'json'
+        }
+      });
+      logger.info('Webhook registrado', { shop, topic: webhook.topic });
+    } catch (error) {
+      if (error instanceof ShopifyValidationError) {
+        logger.info('Webhook ya existe', { shop, topic: webhook.topic });
+      } else {
+        logger.error('Error registrando webhook', { shop, topic: webhook.topic, error });
+      }
+    }
+  }
+}
+
+// ============================================================================
+// CATÁLOGO GEOGRÁFICO (público: extensión, app embedded y storefront)
+// ============================================================================
+
+// El catálogo solo cambia con cada versión: se puede cachear
+function catalogHeaders(req, res, next) {
+  res.set('Cache-Control', 'public, max-age=86400');
+  res.set('X-Catalog-Version', catalog.getCatalogVersion());
+  next();
+}
+
+app.use('/api/catalog', catalogHeaders);
+
+app.get('/api/catalog', (req, res) => {
+  res.json({
+    success: true,
+    version: catalog.getCatalogVersion(),
+    provinces: catalog.listProvinces().map(province => ({
+      ...province,
+      cantons: catalog.listCantons(province.id).map(canton => ({
+        ...canton,
+        districts: catalog.listDistricts(province.id, canton.id)
+      }))
+    }))
+  });
+});
+
+app.get('/api/catalog/provinces', (req, res) => {
+  res.json({
+    success: true,
+    version: catalog.getCatalogVersion(),
+    provinces: catalog.listProvinces()
+  });
+});
+
+app.get('/api/catalog/provinces/:provinceId/cantons', (req, res) => {
+  const cantons = catalog.listCantons(req.params.provinceId);
+
+  if (!cantons) {
+    return res.status(404).json({
+      success: false,
+      error: 'Provincia no encontrada'
+    });
+  }
+
+  res.json({
+    success: true,
+    version: catalog.getCatalogVersion(),
+    cantons
+  });
+});
+
+app.get('/api/catalog/provinces/:provinceId/cantons/:cantonId/districts', (req, res) => {
+  const districts = catalog.listDistricts(req.params.provinceId, req.params.cantonId);
+
+  if (!districts) {
+    return res.status(404).json({
+      success: false,
+      error: 'Cantón no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    version: catalog.getCatalogVersion(),
+    districts
+  });
+});
+
+app.get('/api/catalog/postal-codes/:postalCode', (req, res) => {
+  const location = catalog.findByPostalCode(req.params.postalCode);
+
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      error: 'Código postal no encontrado'
+    });
+  }
+
+  res.json({
+    success: true,
+    version: catalog.getCatalogVersion(),
+    location
+  });
+});
+
+// Resolver province_id/county_id/district_id (mismos nombres que los note_attributes)
+app.get('/api/catalog/resolve', (req, res) => {
+  const { province_id, county_id, district_id } = req.query;
+  const location = catalog.resolveLocation(province_id, county_id, district_id);
+
+  if (!location) {
+    return res.status(404).json({
+      success: false,
+      error: 'La combinación de provincia, cantón y distrito no existe'
+    });
+  }
+
+  res.json({
+    success: true,
+    version: catalog.getCatalogVersion(),
+    location
+  });
+});
+
+// ============================================================================
+// HEALTH CHECK
+// ============================================================================
+
+app.get('/api/health', async (req, res) => {
+  const activeShops = await getActiveShopsCount();
+
+  res.json({
+    success: true,
+    message: 'API funcionando',
+    stores: activeShops,
     timestamp: new Date().toISOString()
   });
 });
@@ -659,24 +2265,48 @@ app.get('/api/health', async (req, res) => {
 // ========================================
 
 // 1. Customer Data Request
-app.post('/api/webhooks/customers/data_request', (req, res) => {
+// Se registra la solicitud y se genera la exportación con todo lo que guardamos del cliente;
+// el comerciante la descarga desde /api/app/data-requests y la marca como entregada.
+app.post('/api/webhooks/customers/data_request', async (req, res) => {
   const hmac = req.headers['x-shopify-hmac-sha256'];
 
   // Verificar que venga de Shopify
   if (!verifyShopifyWebhook(req.body, hmac)) {
-    console.error('❌ HMAC verification failed');
+    logger.warn('HMAC de webhook inválido');
     return res.status(401).send('Unauthorized');
   }
 
-  const webhook = JSON.parse(req.body.toString());
-  console.log('📧 Customer data request received:', webhook);
+  try {
+    const webhook = JSON.parse(req.body.toString('utf8'));
+    const shopDomain = webhook.shop_domain;
+    const dataRequest = await createDataRequest(shopDomain, webhook);
+
+    if (!dataRequest) {
+      logger.info('Customer data request de una tienda sin datos');
+      return res.status(200).send('OK');
+    }
 
-  // TODO: Aquí deberías:
-  // 1. Buscar todos los datos del customer en tu DB
-  // 2. Enviarlos al email del cliente o endpoint que Shopify especifique
-  // Por ahora solo logueamos
+    // Un reintento de Shopify de una solicitud ya exportada no regenera nada
+    if (!dataRequest.exportData) {
+      const collected = await collectCustomerData(shopDomain, {
+        customerId: dataRequest.customerId,
+        orderIds: dataRequest.ordersRequested
+      });
+      await saveDataRequestExport(dataRequest, buildCustomerExport(dataRequest, collected));
 
-  res.status(200).send('OK');
+      logger.info('Customer data request lista', {
+        dataRequestId: dataRequest.id,
+        orders: collected.orders.length,
+        shipments: collected.shipments.length
+      });
+    }
+
+    res.status(200).send('OK');
+
+  } catch (error) {
+    logger.error('Error procesando customer data request', { error });
+    res.status(500).send('Error');
+  }
 });
 
 // 2. Customer Redact (Borrar datos del cliente)
@@ -684,18 +2314,37 @@ app.post('/api/webhooks/customers/redact', async (req, res) => {
   const hmac = req.headers['x-shopify-hmac-sha256'];
 
   if (!verifyShopifyWebhook(req.body, hmac)) {
-    console.error('❌ HMAC verification failed');
+    logger.warn('HMAC de webhook inválido');
     return res.status(401).send('Unauthorized');
   }
 
-  const webhook = JSON.parse(req.body.toString());
-  const shopDomain = webhook.shop_domain;
-  console.log('🗑️ Customer redact received:', webhook);
+  let webhook;
+  try {
+    webhook = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    logger.warn('Payload de customer redact inválido', { error });
+    return res.status(400).send('Bad Request');
+  }
+
+  if (!webhook || !webhook.shop_domain) {
+    logger.warn('Customer redact sin shop_domain');
+    return res.status(400).send('Bad Request');
+  }
+
+  try {
+    // Solo los datos de ese cliente: pedidos en cache, destinatarios de guías y solicitudes de datos
+    const redacted = await redactCustomerData(webhook.shop_domain, {
+      customerId: webhook.customer?.id,
+      orderIds: webhook.orders_to_redact || []
+    });
 
-  // Borrar todos los datos
-  const result = await deleteShopData(shopDomain);
+    logger.info('Customer redact', { redacted });
+    res.status(200).send('OK');
 
-  res.status(200).send('OK');
+  } catch (error) {
+    logger.error('Error procesando customer redact', { error });
+    res.status(500).send('Error');
+  }
 });
 
 // 3. Shop Redact (Borrar datos de la tienda)
@@ -703,19 +2352,39 @@ app.post('/api/webhooks/shop/redact', async (req, res) => {
   const hmac = req.headers['x-shopify-hmac-sha256'];
 
   if (!verifyShopifyWebhook(req.body, hmac)) {
-    console.error('❌ HMAC verification failed');
+    logger.warn('HMAC de webhook inválido');
     return res.status(401).send('Unauthorized');
   }
 
-  const webhook = JSON.parse(req.body.toString());
-  console.log('🗑️ Shop redact received:', webhook);
+  let webhook;
+  try {
+    webhook = JSON.parse(req.body.toString('utf8'));
+  } catch (error) {
+    logger.warn('Payload de shop redact inválido', { error });
+    return res.status(400).send('Bad Request');
+  }
+
+  if (!webhook || !webhook.shop_domain) {
+    logger.warn('Shop redact sin shop_domain');
+    return res.status(400).send('Bad Request');
+  }
 
-  // TODO: Borrar TODOS los datos de esta tienda
-  // const shopDomain = webhook.shop_domain;
-  // await db.query('DELETE FROM sessions WHERE shop = ?', [shopDomain]);
-  // await db.query('DELETE FROM sender_configs WHERE shop = ?', [shopDomain]);
+  logger.info('Shop redact recibido');
 
-  res.status(200).send('OK');
+  try {
+    // Borrar TODOS los datos de esta tienda (si la purga ya corrió no queda nada que borrar)
+    const result = await deleteShopData(webhook.shop_domain);
+
+    if (!result.success) {
+      return res.status(500).send('Error');
+    }
+
+    res.status(200).send('OK');
+
+  } catch (error) {
+    logger.error('Error procesando shop redact', { error });
+    res.status(500).send('Error');
+  }
 });
 
 // ============================================================================
@@ -723,25 +2392,51 @@ app.post('/api/webhooks/shop/redact', async (req, res) => {
 // ============================================================================
 
 async function startServer() {
+  if (!hasEncryptionKey()) {
+    logger.error('ENCRYPTION_KEYS no está configurada (ej: v1:<32 bytes en base64>)');
+    process.exit(1);
+  }
+
   const dbReady = await initDatabase();
 
   if (!dbReady) {
-    console.error('✗ No se pudo conectar a la base de datos');
+    logger.error('No se pudo conectar a la base de datos');
     process.exit(1);
   }
 
+  // Worker de tracking (TRACKING_POLL_INTERVAL_MINUTES=0 lo desactiva)
+  if (TRACKING_POLL_INTERVAL_MINUTES > 0) {
+    createTrackingWorker({
+      trackingClient: correosClient,
+      intervalMs: TRACKING_POLL_INTERVAL_MINUTES * 60 * 1000
+    }).start();
+  }
+
+  // Reconciliación del cache de pedidos (ORDER_SYNC_INTERVAL_MINUTES=0 la desactiva)
+  if (ORDER_SYNC_INTERVAL_MINUTES > 0) {
+    createOrderSyncWorker({
+      intervalMs: ORDER_SYNC_INTERVAL_MINUTES * 60 * 1000
+    }).start();
+  }
+
+  // Purga de tiendas desinstaladas hace más de 48 horas (SHOP_PURGE_INTERVAL_MINUTES=0 la desactiva)
+  if (SHOP_PURGE_INTERVAL_MINUTES > 0) {
+    createShopPurgeWorker({
+      intervalMs: SHOP_PURGE_INTERVAL_MINUTES * 60 * 1000
+    }).start();
+  }
+
   const PORT = process.env.PORT || 3000;
   app.listen(PORT, async () => {
     const activeShops = await getActiveShopsCount();
 
-    console.log('='.repeat(60));
-    console.log('🚀 Servidor iniciado correctamente');
-    console.log('='.repeat(60));
-    console.log(`📍 Puerto: ${PORT}`);
-    console.log(`🌐 URL: ${APP_URL}`);
-    console.log(`🔑 API Key: ${SHOPIFY_API_KEY}`);
-    console.log(`📊 Tiendas activas: ${activeShops}`);
-    console.log('='.repeat(60));
+    logger.info('Servidor iniciado', {
+      port: Number(PORT),
+      url: APP_URL,
+      activeShops,
+      logLevel: LOG_LEVEL,
+      rateLimitStore: RATE_LIMIT_STORE
+    });
   });
 }
 
@@ -0,0 +1,99 @@
+// session-token.js - Verificación de los session tokens de App Bridge (JWT HS256 firmado con el
+// secret de la app) y middleware que autentica las rutas /api/app/*
+
+const jwt = require('jsonwebtoken');
+const { createShopifyClient } = require('./shopify-client');
+const { getShopSession } = require('./database');
+const { logger, setLogContext } = require('./logger');
+
+// Tolerancia de reloj para exp/nbf del session token
+const SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS = 5;
+
+const RETRY_INVALID_SESSION_HEADER = 'X-Shopify-Retry-Invalid-Session-Request';
+
+// 401 con el header que App Bridge usa para pedir un token nuevo y reintentar
+function rejectSessionToken(res, error) {
+  res.set(RETRY_INVALID_SESSION_HEADER, '1');
+  return res.status(401).json({ error });
+}
+
+// Dominio de la tienda a partir de `dest` (https://tienda.myshopify.com) e `iss`
+// (https://tienda.myshopify.com/admin); null si no coinciden o no son tiendas válidas
+function getSessionTokenShop(payload) {
+  try {
+    const dest = new URL(payload.dest);
+    const iss = new URL(payload.iss);
+
+    if (dest.protocol !== 'https:' || iss.protocol !== 'https:') return null;
+    if (dest.hostname !== iss.hostname || !iss.pathname.startsWith('/admin')) return null;
+    if (!/^[a-z0-9][a-z0-9-]*\.myshopify\.com$/.test(dest.hostname)) return null;
+
+    return dest.hostname;
+  } catch (error) {
+    return null;
+  }
+}
+
+// `findShop` se puede reemplazar en pruebas
+function createSessionTokenVerifier({ apiKey, apiSecret, findShop = getShopSession }) {
+  return async function verifySessionToken(req, res, next) {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({ error: 'Missing authorization header' });
+    }
+
+    const sessionToken = authHeader.replace('Bearer ', '');
+
+    let payload;
+    try {
+      payload = jwt.verify(sessionToken, apiSecret, {
+        algorithms: ['HS256'],
+        audience: apiKey,
+        clockTolerance: SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS
+      });
+    } catch (error) {
+      logger.error('Session token verification failed', { error });
+      return rejectSessionToken(res, error.name === 'TokenExpiredError' ? 'Session token expired' : 'Invalid session token');
+    }
+
+    // jwt.verify solo revisa exp si viene; los tokens de Shopify siempre lo traen
+    if (typeof payload.exp !== 'number') {
+      return rejectSessionToken(res, 'Invalid session token');
+    }
+
+    const shop = getSessionTokenShop(payload);
+
+    if (!shop) {
+      return rejectSessionToken(res, 'Invalid token issuer');
+    }
+
+    try {
+      const shopData = await findShop(shop);
+
+      if (!shopData || !shopData.isActive) {
+        return res.status(401).json({ error: 'Shop not installed' });
+      }
+
+      req.shop = shop;
+      req.accessToken = shopData.accessToken;
+      req.shopify = createShopifyClient(shop, shopData.accessToken);
+      req.sessionUserId = payload.sub || null;
+      req.authMethod = 'session_token';
+      setLogContext({ shop, auth: 'session_token', userId: req.sessionUserId });
+
+      next();
+
+    } catch (error) {
+      logger.error('Session token verification failed', { error });
+      return res.status(500).json({ error: 'Authentication failed' });
+    }
+  };
+}
+
+module.exports = {
+  SESSION_TOKEN_CLOCK_TOLERANCE_SECONDS,
+  RETRY_INVALID_SESSION_HEADER,
+  getSessionTokenShop,
+  createSessionTokenVerifier
+};
@@ -0,0 +1,357 @@
+// shopify-client.js - Cliente de la Admin API (REST y GraphQL) de Shopify por tienda:
+// versión configurable, throttling con leaky bucket, reintentos y errores tipados
+
+const axios = require('axios');
+const { logger } = require('./logger');
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-01';
+
+// Origen de la Admin API. Por defecto https://<tienda>; se puede sobreescribir
+// para apuntar todas las tiendas a un servidor falso local (ej: http://localhost:4000)
+const SHOPIFY_API_URL = process.env.SHOPIFY_API_URL || null;
+
+// Límites REST estándar: balde de 40 llamadas que se vacía a 2 por segundo.
+// El header X-Shopify-Shop-Api-Call-Limit corrige el estado con lo que ve Shopify (ej: Plus = 80).
+const DEFAULT_BUCKET_CAPACITY = 40;
+const DEFAULT_LEAK_RATE = 2;
+
+// GraphQL se limita por costo de la consulta: 1000 puntos que se recuperan a 50 por segundo.
+// Antes de conocer el costo real se reserva un estimado y luego se devuelve la diferencia.
+const GRAPHQL_BUCKET = { capacity: 1000, leakRate: 50 };
+const DEFAULT_GRAPHQL_COST = 50;
+
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 500;
+const MAX_BACKOFF_MS = 30000;
+
+// Métodos que se pueden reintentar ante 5xx o errores de red sin riesgo de duplicar
+// (un POST de fulfillment que dio 502 pudo haberse creado igual). Los 429 siempre se reintentan.
+const IDEMPOTENT_METHODS = ['get', 'put', 'delete'];
+
+// ============================================================================
+// ERRORES
+// ============================================================================
+
+// `status` es el HTTP de Shopify (0 si no hubo respuesta), `httpStatus` el que devuelve
+// nuestra API. `errors` guarda el cuerpo de Shopify solo para logs.
+class ShopifyApiError extends Error {
+  constructor(message, { status = 0, httpStatus = 502, errors = null, retryAfter = null } = {}) {
+    super(message);
+    this.name = 'ShopifyApiError';
+    this.status = status;
+    this.httpStatus = httpStatus;
+    this.errors = errors;
+    this.retryAfter = retryAfter;
+  }
+}
+
+class ShopifyAuthError extends ShopifyApiError {
+  constructor(message, options) {
+    super(message, { ...options, httpStatus: 502 });
+    this.name = 'ShopifyAuthError';
+  }
+}
+
+class ShopifyNotFoundError extends ShopifyApiError {
+  constructor(message, options) {
+    super(message, { ...options, httpStatus: 404 });
+    this.name = 'ShopifyNotFoundError';
+  }
+}
+
+class ShopifyValidationError extends ShopifyApiError {
+  constructor(message, options) {
+    super(message, { ...options, httpStatus: 422 });
+    this.name = 'ShopifyValidationError';
+  }
+}
+
+class ShopifyRateLimitError extends ShopifyApiError {
+  constructor(message, options) {
+    super(message, { ...options, httpStatus: 429 });
+    this.name = 'ShopifyRateLimitError';
+  }
+}
+
+class ShopifyServerError extends ShopifyApiError {
+  constructor(message, options) {
+    super(message, { ...options, httpStatus: 502 });
+    this.name = 'ShopifyServerError';
+  }
+}
+
+// Mensajes de validación de Shopify ({ errors: { base: [...] } } o { errors: '...' }) en una línea
+function formatShopifyErrors(errors) {
+  if (!errors) return null;
+  if (typeof errors === 'string') return errors;
+  if (Array.isArray(errors)) return errors.join(', ');
+
+  return Object.entries(errors)
+    .map(([field, messages]) => {
+      const text = Array.isArray(messages) ? messages.join(', ') : String(messages);
+      return field === 'base' ? text : `${field}: ${text}`;
+    })
+    .join('; ');
+}
+
+function parseRetryAfter(headers = {}) {
+  const seconds = parseFloat(headers['retry-after']);
+  return Number.isNaN(seconds) ? null : seconds;
+}
+
+// Convertir un error de axios en un error tipado
+function toShopifyError(error) {
+  if (!error.response) {
+    return new ShopifyServerError('No se pudo conectar con Shopify', { errors: error.code || error.message });
+  }
+
+  const { status, data, headers } = error.response;
+  const errors = data?.errors || null;
+  const options = { status, errors, retryAfter: parseRetryAfter(headers) };
+
+  if (status === 401 || status === 403) {
+    return new ShopifyAuthError('Shopify rechazó el acceso de la app a la tienda', options);
+  }
+  if (status === 404) {
+    return new ShopifyNotFoundError('Recurso no encontrado en Shopify', options);
+  }
+  if (status === 422 || status === 400) {
+    const detail = formatShopifyErrors(errors);
+    return new ShopifyValidationError(detail ? `Shopify rechazó la solicitud: ${detail}` : 'Shopify rechazó la solicitud', options);
+  }
+  if (status === 429) {
+    return new ShopifyRateLimitError('Shopify está limitando las solicitudes, intenta de nuevo en unos segundos', options);
+  }
+
+  return new ShopifyServerError('Error de Shopify, intenta de nuevo más tarde', options);
+}
+
+// ============================================================================
+// LEAKY BUCKET POR TIENDA
+// ============================================================================
+
+function createBucket({ capacity = DEFAULT_BUCKET_CAPACITY, leakRate = DEFAULT_LEAK_RATE } = {}) {
+  let used = 0;
+  let updatedAt = Date.now();
+
+  function leak() {
+    const now = Date.now();
+    used = Math.max(0, used - ((now - updatedAt) / 1000) * leakRate);
+    updatedAt = now;
+  }
+
+  return {
+    // Reservar `cost` unidades; devuelve cuántos ms hay que esperar antes de hacer la llamada.
+    // La reserva se cuenta de inmediato para que las llamadas concurrentes hagan fila.
+    reserve(cost = 1) {
+      leak();
+      const waitMs = Math.max(0, ((used + cost - capacity) / leakRate) * 1000);
+      used += cost;
+      return waitMs;
+    },
+
+    // Devolver lo reservado de más (GraphQL: estimado - costo real)
+    release(amount) {
+      leak();
+      used = Math.max(0, used - amount);
+    },
+
+    // Ajustar con el estado que informa Shopify
+    update(state) {
+      leak();
+      if (state.capacity) capacity = state.capacity;
+      if (state.leakRate) leakRate = state.leakRate;
+      used = Math.max(used, state.used);
+    },
+
+    // Ajustar con el header X-Shopify-Shop-Api-Call-Limit ("32/40")
+    sync(header) {
+      const match = /^(\d+)\/(\d+)$/.exec(String(header || '').trim());
+      if (!match) return;
+      this.update({ used: parseInt(match[1], 10), capacity: parseInt(match[2], 10) });
+    },
+
+    // Después de un 429 el balde está lleno
+    fill() {
+      leak();
+      used = Math.max(used, capacity);
+    }
+  };
+}
+
+const buckets = new Map();
+
+function getBucket(key, options) {
+  if (!buckets.has(key)) {
+    buckets.set(key, createBucket(options));
+  }
+  return buckets.get(key);
+}
+
+// ============================================================================
+// CLIENTE
+// ============================================================================
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffMs(attempt, retryAfter) {
+  if (retryAfter !== null && retryAfter !== undefined) {
+    return retryAfter * 1000;
+  }
+  const exponential = Math.min(BASE_BACKOFF_MS * 2 ** attempt, MAX_BACKOFF_MS);
+  return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+function isRetryable(idempotent, error) {
+  if (error instanceof ShopifyRateLimitError) return true;
+  return error instanceof ShopifyServerError && idempotent;
+}
+
+// GraphQL responde 200 aunque la consulta falle: los errores vienen en el cuerpo.
+// THROTTLED se convierte en 429 con el tiempo que falta para recuperar el costo pedido.
+function toGraphqlError(body) {
+  const errors = body.errors;
+  const throttled = Array.isArray(errors) && errors.some(e => e.extensions?.code === 'THROTTLED');
+
+  if (throttled) {
+    const cost = body.extensions?.cost;
+    const status = cost?.throttleStatus;
+    const retryAfter = status
+      ? Math.max(0, (cost.requestedQueryCost - status.currentlyAvailable) / status.restoreRate)
+      : null;
+    return new ShopifyRateLimitError('Shopify está limitando las solicitudes, intenta de nuevo en unos segundos', {
+      status: 429,
+      errors,
+      retryAfter
+    });
+  }
+
+  return new ShopifyApiError('Error en la consulta a Shopify', { status: 200, errors });
+}
+
+// Crear un cliente para una tienda. `path` es relativo a /admin/api/<versión>/ (ej: 'orders.json').
+// `origin`, `http` y `wait` se pueden reemplazar en pruebas.
+function createShopifyClient(shop, accessToken, {
+  apiVersion = SHOPIFY_API_VERSION,
+  origin = SHOPIFY_API_URL || `https://${shop}`,
+  http = axios,
+  wait = sleep,
+  maxRetries = MAX_RETRIES
+} = {}) {
+  const restBucket = getBucket(shop);
+  const graphqlBucket = getBucket(`${shop}#graphql`, GRAPHQL_BUCKET);
+
+  // Llamada con throttling y reintentos. `onResponse` ajusta el balde con la respuesta
+  // y puede lanzar un ShopifyApiError (ej: GraphQL THROTTLED) que sigue la misma lógica de reintento.
+  async function send(method, path, { params, data, bucket, cost, idempotent, onResponse }) {
+    for (let attempt = 0; ; attempt++) {
+      const waitMs = bucket.reserve(cost);
+      if (waitMs > 0) await wait(waitMs);
+
+      try {
+        const response = await http.request({
+          method,
+          url: `${origin}/admin/api/${apiVersion}/${path}`,
+          params,
+          data,
+          headers: {
+            'X-Shopify-Access-Token': accessToken,
+            'Content-Type': 'application/json'
+          }
+        });
+
+        onResponse(response);
+        return response;
+
+      } catch (rawError) {
+        const error = rawError instanceof ShopifyApiError ? rawError : toShopifyError(rawError);
+        if (rawError.response) onResponse(rawError.response, true);
+
+        if (attempt >= maxRetries || !isRetryable(idempotent, error)) {
+          throw error;
+        }
+
+        const delay = backoffMs(attempt, error.retryAfter);
+        logger.warn('Reintentando llamada a Shopify', {
+          shop,
+          method: method.toUpperCase(),
+          path,
+          status: error.status,
+          attempt: attempt + 1,
+          delayMs: Math.round(delay)
+        });
+        await wait(delay);
+      }
+    }
+  }
+
+  function request(method, path, { params, data } = {}) {
+    return send(method, path, {
+      params,
+      data,
+      bucket: restBucket,
+      cost: 1,
+      idempotent: IDEMPOTENT_METHODS.includes(method),
+      onResponse: (response) => {
+        restBucket.sync(response.headers?.['x-shopify-shop-api-call-limit']);
+        if (response.status === 429) restBucket.fill();
+      }
+    });
+  }
+
+  // Consulta GraphQL; devuelve `data`. Las consultas se reintentan ante 5xx, las mutaciones no.
+  async function graphql(query, variables = {}, { cost = DEFAULT_GRAPHQL_COST } = {}) {
+    const response = await send('post', 'graphql.json', {
+      data: { query, variables },
+      bucket: graphqlBucket,
+      cost,
+      idempotent: !/^\s*mutation\b/.test(query),
+      onResponse: (res, failed) => {
+        const body = res.data || {};
+        const status = body.extensions?.cost?.throttleStatus;
+
+        if (status) {
+          const actualCost = body.extensions.cost.actualQueryCost ?? body.extensions.cost.requestedQueryCost;
+          graphqlBucket.release(Math.max(0, cost - actualCost));
+          graphqlBucket.update({
+            used: status.maximumAvailable - status.currentlyAvailable,
+            capacity: status.maximumAvailable,
+            leakRate: status.restoreRate
+          });
+        }
+
+        if (!failed && body.errors?.length) {
+          throw toGraphqlError(body);
+        }
+      }
+    });
+
+    return response.data.data;
+  }
+
+  return {
+    shop,
+    apiVersion,
+    request,
+    graphql,
+    get: (path, params) => request('get', path, { params }),
+    post: (path, data) => request('post', path, { data }),
+    put: (path, data) => request('put', path, { data }),
+    delete: (path) => request('delete', path)
+  };
+}
+
+module.exports = {
+  SHOPIFY_API_VERSION,
+  SHOPIFY_API_URL,
+  ShopifyApiError,
+  ShopifyAuthError,
+  ShopifyNotFoundError,
+  ShopifyValidationError,
+  ShopifyRateLimitError,
+  ShopifyServerError,
+  createBucket,
+  createShopifyClient
+};
@@ -0,0 +1,161 @@
+// Pruebas del cliente de Correos contra un stub local de PYMEXPRESS (token + SOAP)
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { createCorreosClient, CorreosError } = require('../correos');
+
+let server;
+let baseUrl;
+
+// Respuestas del stub por método SOAP; cada prueba las reemplaza
+let soapResponses;
+let authResponses;
+let requests;
+
+function soapResponse(method, body) {
+  return '<?xml version="1.0" encoding="utf-8"?>' +
+    '<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>' +
+    `<${method}Response xmlns="http://tempuri.org/"><${method}Result xmlns:a="http://schemas.datacontract.org/">` +
+    body +
+    `</${method}Result></${method}Response>` +
+    '</s:Body></s:Envelope>';
+}
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ path: req.url, headers: req.headers, body });
+
+      if (req.url === '/token') {
+        const { status = 200, token } = authResponses.shift() || { token: 'token-1' };
+        res.statusCode = status;
+        res.setHeader('Content-Type', 'application/json');
+        return res.end(JSON.stringify(token));
+      }
+
+      const method = req.headers.soapaction.split('/').pop();
+      const { status = 200, xml } = soapResponses[method].shift();
+      res.statusCode = status;
+      res.setHeader('Content-Type', 'text/xml; charset=utf-8');
+      res.end(xml);
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  soapResponses = {};
+  authResponses = [];
+  requests = [];
+});
+
+function createClient() {
+  return createCorreosClient({
+    baseUrl: `${baseUrl}/soap`,
+    authUrl: `${baseUrl}/token`,
+    username: 'usuario',
+    password: 'clave',
+    clientCode: '1234',
+    userId: '99',
+    timeout: 2000
+  });
+}
+
+const SHIPMENT = {
+  sender: { name: 'Tienda Ñandú', phone: '88881234', address: 'Calle 1 & Av. 2', postalCode: '10101', identificationType: '1', identification: '112345678' },
+  recipient: { name: 'José <Pérez>', phone: '87654321', address: '200m sur de la iglesia', postalCode: '40104' },
+  weight: 1500,
+  notes: 'Frágil'
+};
+
+test('genera una guía: autentica, pide el número y registra el envío', async () => {
+  soapResponses.ccrGenerarGuia = [{ xml: soapResponse('ccrGenerarGuia', '<a:Cod_Respuesta>00</a:Cod_Respuesta><a:NumeroEnvio>WS123456789CR</a:NumeroEnvio>') }];
+  soapResponses.ccrRegistroEnvio = [{ xml: soapResponse('ccrRegistroEnvio', '<a:Cod_Respuesta>00</a:Cod_Respuesta><a:PDF>JVBERi0=</a:PDF>') }];
+
+  const guide = await createClient().generateGuide(SHIPMENT);
+
+  assert.deepEqual(guide, { trackingNumber: 'WS123456789CR', label: 'JVBERi0=' });
+  assert.deepEqual(requests.map(r => r.path), ['/token', '/soap', '/soap']);
+  assert.deepEqual(JSON.parse(requests[0].body), { Username: 'usuario', Password: 'clave', Sistema: 'PYMEXPRESS' });
+
+  const register = requests[2];
+  assert.equal(register.headers.soapaction, 'http://tempuri.org/IwsAppCorreos/ccrRegistroEnvio');
+  assert.equal(register.headers.authorization, 'token-1');
+  assert.match(register.body, /<ENVIO_ID>WS123456789CR<\/ENVIO_ID>/);
+  assert.match(register.body, /<PESO>1500<\/PESO>/);
+  assert.match(register.body, /<Cliente>1234<\/Cliente>/);
+  assert.match(register.body, /<SEND_DIRECCION>Calle 1 &amp; Av\. 2<\/SEND_DIRECCION>/);
+  assert.match(register.body, /<DEST_NOMBRE>José &lt;Pérez&gt;<\/DEST_NOMBRE>/);
+});
+
+test('reutiliza el token mientras no vence', async () => {
+  soapResponses.ccrGenerarGuia = [
+    { xml: soapResponse('ccrGenerarGuia', '<a:Cod_Respuesta>00</a:Cod_Respuesta><a:NumeroEnvio>WS1CR</a:NumeroEnvio>') },
+    { xml: soapResponse('ccrGenerarGuia', '<a:Cod_Respuesta>00</a:Cod_Respuesta><a:NumeroEnvio>WS2CR</a:NumeroEnvio>') }
+  ];
+
+  const client = createClient();
+  assert.equal(await client.requestGuideNumber(), 'WS1CR');
+  assert.equal(await client.requestGuideNumber(), 'WS2CR');
+  assert.equal(requests.filter(r => r.path === '/token').length, 1);
+});
+
+test('un 401 de Correos fuerza un token nuevo en la siguiente llamada', async () => {
+  authResponses = [{ token: 'token-viejo' }, { token: 'token-nuevo' }];
+  soapResponses.ccrGenerarGuia = [
+    { status: 401, xml: '' },
+    { xml: soapResponse('ccrGenerarGuia', '<a:Cod_Respuesta>00</a:Cod_Respuesta><a:NumeroEnvio>WS3CR</a:NumeroEnvio>') }
+  ];
+
+  const client = createClient();
+  await assert.rejects(client.requestGuideNumber(), CorreosError);
+  assert.equal(await client.requestGuideNumber(), 'WS3CR');
+
+  const soapCalls = requests.filter(r => r.path === '/soap');
+  assert.deepEqual(soapCalls.map(r => r.headers.authorization), ['token-viejo', 'token-nuevo']);
+});
+
+test('un código de respuesta distinto de 00 es un CorreosError con el mensaje de Correos', async () => {
+  soapResponses.ccrRegistroEnvio = [{
+    xml: soapResponse('ccrRegistroEnvio', '<a:Cod_Respuesta>05</a:Cod_Respuesta><a:Mensaje_Respuesta>Código postal inválido</a:Mensaje_Respuesta>')
+  }];
+
+  await assert.rejects(
+    createClient().registerShipment('WS4CR', SHIPMENT),
+    error => error instanceof CorreosError && error.code === '05' && error.message === 'Código postal inválido'
+  );
+});
+
+test('falla si la autenticación no devuelve token', async () => {
+  authResponses = [{ token: '' }];
+
+  await assert.rejects(createClient().requestGuideNumber(), {
+    name: 'CorreosError',
+    message: 'Correos no devolvió un token de autenticación'
+  });
+});
+
+test('lee los eventos de tracking con la fecha en hora de Costa Rica', async () => {
+  soapResponses.ccrMovilTracking = [{
+    xml: soapResponse('ccrMovilTracking',
+      '<a:Cod_Respuesta>00</a:Cod_Respuesta><a:Eventos>' +
+      '<a:Evento><a:Codigo>1</a:Codigo><a:Descripcion>Admitido</a:Descripcion><a:Unidad>San José</a:Unidad><a:Fecha_Hora>10/10/2026 08:30:00</a:Fecha_Hora></a:Evento>' +
+      '<a:Evento><a:Codigo>9</a:Codigo><a:Descripcion>Entregado</a:Descripcion><a:Unidad>Heredia</a:Unidad><a:Fecha_Hora>11/10/2026 14:05</a:Fecha_Hora></a:Evento>' +
+      '</a:Eventos>')
+  }];
+
+  const events = await createClient().getTracking('WS5CR');
+
+  assert.match(requests[1].body, /<Datos><NumeroEnvio>WS5CR<\/NumeroEnvio><\/Datos>/);
+  assert.deepEqual(events, [
+    { code: '1', description: 'Admitido', location: 'San José', occurredAt: new Date('2026-10-10T14:30:00Z') },
+    { code: '9', description: 'Entregado', location: 'Heredia', occurredAt: new Date('2026-10-11T20:05:00Z') }
+  ]);
+});
@@ -0,0 +1,167 @@
+// Pruebas de verifySessionToken con tokens firmados localmente
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { createSessionTokenVerifier, RETRY_INVALID_SESSION_HEADER } = require('../session-token');
+
+const API_KEY = 'test-api-key';
+const API_SECRET = 'test-api-secret';
+const SHOP = 'tienda-prueba.myshopify.com';
+
+const INSTALLED_SHOPS = {
+  [SHOP]: { shop: SHOP, accessToken: 'shpat_prueba', isActive: true },
+  'desinstalada.myshopify.com': { shop: 'desinstalada.myshopify.com', accessToken: 'shpat_prueba', isActive: false }
+};
+
+// Claims como los de App Bridge; un override en undefined quita el claim
+function signToken({ shop = SHOP, ...overrides } = {}, { secret = API_SECRET, algorithm = 'HS256' } = {}) {
+  const now = Math.floor(Date.now() / 1000);
+  const payload = {
+    iss: `https://${shop}/admin`,
+    dest: `https://${shop}`,
+    aud: API_KEY,
+    sub: '42',
+    exp: now + 60,
+    nbf: now - 5,
+    iat: now - 5,
+    jti: 'f3a1c0de',
+    sid: 'sesion',
+    ...overrides
+  };
+
+  for (const [claim, value] of Object.entries(payload)) {
+    if (value === undefined) delete payload[claim];
+  }
+
+  return jwt.sign(payload, secret, { algorithm });
+}
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  const app = express();
+  const verifySessionToken = createSessionTokenVerifier({
+    apiKey: API_KEY,
+    apiSecret: API_SECRET,
+    findShop: async shop => INSTALLED_SHOPS[shop] || null
+  });
+
+  app.get('/api/app/ping', verifySessionToken, (req, res) => {
+    res.json({ shop: req.shop, userId: req.sessionUserId, authMethod: req.authMethod });
+  });
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+function request(token) {
+  return fetch(`${baseUrl}/api/app/ping`, {
+    headers: token === undefined ? {} : { Authorization: `Bearer ${token}` }
+  });
+}
+
+async function assertRejected(response, error) {
+  assert.equal(response.status, 401);
+  assert.equal(response.headers.get(RETRY_INVALID_SESSION_HEADER), '1');
+  assert.deepEqual(await response.json(), { error });
+}
+
+test('acepta un token válido y deja la tienda en el request', async () => {
+  const response = await request(signToken());
+
+  assert.equal(response.status, 200);
+  assert.equal(response.headers.get(RETRY_INVALID_SESSION_HEADER), null);
+  assert.deepEqual(await response.json(), { shop: SHOP, userId: '42', authMethod: 'session_token' });
+});
+
+test('acepta exp/nbf dentro de la tolerancia de reloj', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  const response = await request(signToken({ exp: now - 2, nbf: now + 2 }));
+
+  assert.equal(response.status, 200);
+});
+
+test('rechaza un token expirado', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assertRejected(await request(signToken({ exp: now - 60, iat: now - 120, nbf: now - 120 })), 'Session token expired');
+});
+
+test('rechaza un token que todavía no es válido (nbf)', async () => {
+  const now = Math.floor(Date.now() / 1000);
+  await assertRejected(await request(signToken({ nbf: now + 60 })), 'Invalid session token');
+});
+
+test('rechaza un token sin exp', async () => {
+  await assertRejected(await request(signToken({ exp: undefined })), 'Invalid session token');
+});
+
+test('rechaza un aud distinto del API key', async () => {
+  await assertRejected(await request(signToken({ aud: 'otra-app' })), 'Invalid session token');
+});
+
+test('rechaza un iss que no coincide con dest', async () => {
+  await assertRejected(
+    await request(signToken({ iss: 'https://otra-tienda.myshopify.com/admin' })),
+    'Invalid token issuer'
+  );
+});
+
+test('rechaza un iss sin /admin', async () => {
+  await assertRejected(await request(signToken({ iss: `https://${SHOP}` })), 'Invalid token issuer');
+});
+
+test('rechaza un dest que no es una tienda de Shopify', async () => {
+  await assertRejected(
+    await request(signToken({ iss: 'https://example.com/admin', dest: 'https://example.com' })),
+    'Invalid token issuer'
+  );
+});
+
+test('rechaza una firma con otro secret', async () => {
+  await assertRejected(await request(signToken({}, { secret: 'otro-secret' })), 'Invalid session token');
+});
+
+test('rechaza un token alterado después de firmado', async () => {
+  const [header, , signature] = signToken().split('.');
+  const forged = Buffer.from(JSON.stringify({
+    iss: 'https://otra-tienda.myshopify.com/admin',
+    dest: 'https://otra-tienda.myshopify.com',
+    aud: API_KEY,
+    exp: Math.floor(Date.now() / 1000) + 60
+  })).toString('base64url');
+
+  await assertRejected(await request(`${header}.${forged}.${signature}`), 'Invalid session token');
+});
+
+test('rechaza algoritmos distintos de HS256', async () => {
+  await assertRejected(await request(signToken({}, { algorithm: 'HS512' })), 'Invalid session token');
+
+  const unsigned = jwt.sign({ iss: `https://${SHOP}/admin`, dest: `https://${SHOP}`, aud: API_KEY }, null, { algorithm: 'none' });
+  await assertRejected(await request(unsigned), 'Invalid session token');
+});
+
+test('sin header Authorization responde 401 sin pedir reintento', async () => {
+  const response = await request(undefined);
+
+  assert.equal(response.status, 401);
+  assert.equal(response.headers.get(RETRY_INVALID_SESSION_HEADER), null);
+  assert.deepEqual(await response.json(), { error: 'Missing authorization header' });
+});
+
+test('rechaza tiendas no instaladas o desinstaladas', async () => {
+  for (const shop of ['no-instalada.myshopify.com', 'desinstalada.myshopify.com']) {
+    const response = await request(signToken({ shop }));
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: 'Shop not installed' });
+  }
+});
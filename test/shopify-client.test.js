@@ -0,0 +1,226 @@
+// Pruebas de reintentos y throttling de shopify-client.js contra una Admin API falsa local
+
+process.env.LOG_LEVEL = 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const {
+  createShopifyClient,
+  createBucket,
+  ShopifyNotFoundError,
+  ShopifyRateLimitError,
+  ShopifyServerError,
+  ShopifyValidationError
+} = require('../shopify-client');
+
+let server;
+let origin;
+
+// Respuestas en cola de la API falsa ({ status, headers, body }); cada prueba las reemplaza
+let responses;
+let requests;
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ method: req.method, path: req.url, headers: req.headers, body: body ? JSON.parse(body) : null });
+
+      const { status = 200, headers = {}, body: responseBody = {} } = responses.shift() || {};
+      res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+      res.end(JSON.stringify(responseBody));
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  origin = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  responses = [];
+  requests = [];
+});
+
+// Los baldes son por tienda y viven en el módulo: cada prueba usa una tienda distinta.
+// `waits` junta las esperas pedidas (throttling y backoff) sin dormir de verdad.
+let shopCounter = 0;
+function createClient(options = {}) {
+  const waits = [];
+  const client = createShopifyClient(`prueba-${++shopCounter}.myshopify.com`, 'shpat_prueba', {
+    origin,
+    apiVersion: '2024-01',
+    wait: async ms => { waits.push(ms); },
+    ...options
+  });
+  return { client, waits };
+}
+
+function throttleStatus(currentlyAvailable, requestedQueryCost = 100) {
+  return {
+    cost: {
+      requestedQueryCost,
+      actualQueryCost: requestedQueryCost,
+      throttleStatus: { maximumAvailable: 1000, currentlyAvailable, restoreRate: 50 }
+    }
+  };
+}
+
+test('llama a la Admin API de la versión indicada con el token de la tienda', async () => {
+  responses = [{ body: { shop: { name: 'Prueba' } } }];
+  const { client } = createClient();
+
+  const response = await client.get('shop.json', { fields: 'name' });
+
+  assert.deepEqual(response.data, { shop: { name: 'Prueba' } });
+  assert.equal(requests[0].path, '/admin/api/2024-01/shop.json?fields=name');
+  assert.equal(requests[0].headers['x-shopify-access-token'], 'shpat_prueba');
+});
+
+test('un 429 se reintenta después del Retry-After, también en POST', async () => {
+  responses = [
+    { status: 429, headers: { 'Retry-After': '2.0' }, body: { errors: 'Exceeded 2 calls per second' } },
+    { status: 201, body: { fulfillment: { id: 1 } } }
+  ];
+  const { client, waits } = createClient();
+
+  const response = await client.post('fulfillments.json', { fulfillment: {} });
+
+  assert.equal(response.data.fulfillment.id, 1);
+  assert.equal(requests.length, 2);
+  assert.ok(waits.includes(2000), `esperas: ${waits}`);
+});
+
+test('un 5xx en GET se reintenta con backoff', async () => {
+  responses = [
+    { status: 502 },
+    { status: 503 },
+    { body: { orders: [] } }
+  ];
+  const { client, waits } = createClient();
+
+  const response = await client.get('orders.json');
+
+  assert.deepEqual(response.data, { orders: [] });
+  assert.equal(requests.length, 3);
+  assert.equal(waits.length, 2);
+  assert.ok(waits.every(ms => ms > 0 && ms <= 30000), `esperas: ${waits}`);
+});
+
+test('un 5xx en POST no se reintenta (podría duplicar el fulfillment)', async () => {
+  responses = [{ status: 502 }, { status: 201, body: { fulfillment: { id: 2 } } }];
+  const { client } = createClient();
+
+  await assert.rejects(client.post('fulfillments.json', { fulfillment: {} }), ShopifyServerError);
+  assert.equal(requests.length, 1);
+});
+
+test('deja de reintentar al agotar maxRetries', async () => {
+  responses = [{ status: 500 }, { status: 500 }, { status: 500 }, { status: 500 }];
+  const { client } = createClient({ maxRetries: 2 });
+
+  await assert.rejects(client.get('orders.json'), ShopifyServerError);
+  assert.equal(requests.length, 3);
+});
+
+test('los 404 y 422 no se reintentan y llegan tipados', async () => {
+  responses = [
+    { status: 404, body: { errors: 'Not Found' } },
+    { status: 422, body: { errors: { base: ['La guía ya existe'] } } }
+  ];
+  const { client } = createClient();
+
+  await assert.rejects(client.get('orders/1.json'), ShopifyNotFoundError);
+  await assert.rejects(client.post('fulfillments.json', {}), error =>
+    error instanceof ShopifyValidationError && error.message === 'Shopify rechazó la solicitud: La guía ya existe'
+  );
+  assert.equal(requests.length, 2);
+});
+
+test('el header de call limit llena el balde y la siguiente llamada espera', async () => {
+  responses = [
+    { headers: { 'X-Shopify-Shop-Api-Call-Limit': '40/40' }, body: {} },
+    { body: {} }
+  ];
+  const { client, waits } = createClient();
+
+  await client.get('orders.json');
+  assert.deepEqual(waits, []);
+
+  await client.get('orders.json');
+
+  // Balde lleno a 2 llamadas por segundo: ~500 ms para la siguiente
+  assert.equal(waits.length, 1);
+  assert.ok(waits[0] > 400 && waits[0] <= 500, `espera: ${waits[0]}`);
+});
+
+test('GraphQL THROTTLED se reintenta cuando se recupera el costo pedido', async () => {
+  responses = [
+    { body: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: throttleStatus(780, 800) } },
+    { body: { data: { shop: { name: 'Prueba' } }, extensions: throttleStatus(900) } }
+  ];
+  const { client, waits } = createClient();
+
+  const data = await client.graphql('query { shop { name } }', {}, { cost: 100 });
+
+  assert.deepEqual(data, { shop: { name: 'Prueba' } });
+  assert.equal(requests.length, 2);
+  assert.equal(requests[0].path, '/admin/api/2024-01/graphql.json');
+  // (800 pedidos - 780 disponibles) / 50 por segundo = 400 ms
+  assert.ok(waits.includes(400), `esperas: ${waits}`);
+});
+
+test('GraphQL agota los reintentos de THROTTLED con un ShopifyRateLimitError', async () => {
+  const throttled = { body: { errors: [{ message: 'Throttled', extensions: { code: 'THROTTLED' } }], extensions: throttleStatus(0, 100) } };
+  responses = [throttled, throttled];
+  const { client } = createClient({ maxRetries: 1 });
+
+  await assert.rejects(client.graphql('query { shop { name } }'), ShopifyRateLimitError);
+  assert.equal(requests.length, 2);
+});
+
+test('GraphQL reintenta consultas ante 5xx pero no mutaciones', async () => {
+  responses = [{ status: 502 }, { body: { data: { shop: { name: 'Prueba' } } } }];
+  const { client } = createClient();
+
+  assert.deepEqual(await client.graphql('query { shop { name } }'), { shop: { name: 'Prueba' } });
+  assert.equal(requests.length, 2);
+
+  requests = [];
+  responses = [{ status: 502 }, { body: { data: {} } }];
+  await assert.rejects(client.graphql('mutation { tagsAdd(id: "x", tags: []) { userErrors { message } } }'), ShopifyServerError);
+  assert.equal(requests.length, 1);
+});
+
+test('el costo real de GraphQL ajusta el balde con el estado que informa Shopify', async () => {
+  responses = [
+    { body: { data: {}, extensions: throttleStatus(0) } },
+    { body: { data: {} } }
+  ];
+  const { client, waits } = createClient();
+
+  await client.graphql('query { a }', {}, { cost: 100 });
+  await client.graphql('query { b }', {}, { cost: 100 });
+
+  // Shopify informó el balde vacío: 100 puntos a 50 por segundo son ~2 s
+  assert.equal(waits.length, 1);
+  assert.ok(waits[0] > 1900 && waits[0] <= 2000, `espera: ${waits[0]}`);
+});
+
+test('createBucket hace fila con las reservas concurrentes', () => {
+  const bucket = createBucket({ capacity: 2, leakRate: 2 });
+
+  assert.equal(bucket.reserve(), 0);
+  assert.equal(bucket.reserve(), 0);
+
+  const third = bucket.reserve();
+  const fourth = bucket.reserve();
+  assert.ok(third > 400 && third <= 500, `tercera: ${third}`);
+  assert.ok(fourth > 900 && fourth <= 1000, `cuarta: ${fourth}`);
+
+  bucket.release(2);
+  assert.ok(bucket.reserve() <= 500);
+});
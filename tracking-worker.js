@@ -0,0 +1,192 @@
+// tracking-worker.js - Consulta periódica del tracking de Correos y eventos de fulfillment en Shopify
+
+const { createShopifyClient } = require('./shopify-client');
+const { logger } = require('./logger');
+
+const {
+  getOpenShipments,
+  recordTrackingEvent,
+  getUnpushedTrackingEvents,
+  markTrackingEventPushed,
+  markStaleShipments,
+  markShipmentChecked
+} = require('./database');
+
+const log = logger.child({ worker: 'tracking' });
+
+// Reglas para traducir la descripción de Correos a un estado de fulfillment de Shopify.
+// El orden importa: la primera coincidencia gana.
+const STATUS_RULES = [
+  { status: 'delivered', pattern: /\bentregad[oa]\b/i, exclude: /\bno\s+entregad[oa]\b/i },
+  { status: 'attempted_delivery', pattern: /intento|no\s+entregad[oa]|ausente|direcci[oó]n\s+(incorrecta|incompleta)/i },
+  { status: 'failure', pattern: /devuelt[oa]|devoluci[oó]n|rechazad[oa]|extraviad[oa]/i },
+  { status: 'out_for_delivery', pattern: /en\s+(reparto|distribuci[oó]n)|sali[oó]\s+a\s+entrega/i },
+  { status: 'in_transit', pattern: /tr[aá]nsito|recibid[oa]|admitid[oa]|clasificad[oa]|despachad[oa]|en\s+ruta/i }
+];
+
+// Estados que se publican como fulfillment events en Shopify
+const SHOPIFY_EVENT_STATUSES = ['in_transit', 'out_for_delivery', 'attempted_delivery', 'delivered', 'failure'];
+
+// Los eventos que fallaron al publicarse se reintentan en cada pasada durante este tiempo
+// (después se asume que el fulfillment ya no existe en Shopify)
+const EVENT_RETRY_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Las guías sin ningún evento en este tiempo (ej: número mal digitado) o sin eventos nuevos en
+// STALE_LAST_EVENT_MAX_AGE_MS pasan a `stale` y se dejan de consultar
+const STALE_NO_EVENTS_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+const STALE_LAST_EVENT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+function mapCorreosStatus(description) {
+  const rule = STATUS_RULES.find(r => r.pattern.test(description || '') && !(r.exclude && r.exclude.test(description)));
+  return rule ? rule.status : null;
+}
+
+// Publicar un evento de fulfillment en Shopify (se muestra en la página de estado del pedido)
+async function pushFulfillmentEvent(shipment, trackingEvent) {
+  const shopify = createShopifyClient(shipment.shop, shipment.Shop.accessToken);
+
+  await shopify.post(`orders/${shipment.orderId}/fulfillments/${shipment.fulfillmentId}/events.json`, {
+    event: {
+      status: trackingEvent.status,
+      message: trackingEvent.description,
+      happened_at: trackingEvent.occurredAt.toISOString(),
+      city: trackingEvent.location || undefined,
+      country: 'Costa Rica'
+    }
+  });
+}
+
+// Crear el worker. `trackingClient` es cualquier objeto con
+// `getTracking(trackingNumber) -> Promise<[{ code, description, location, occurredAt }]>`,
+// lo que permite usar el cliente real de Correos o uno falso en pruebas.
+function createTrackingWorker({
+  trackingClient,
+  publishEvent = pushFulfillmentEvent,
+  intervalMs = 30 * 60 * 1000,
+  batchSize = 50
+}) {
+  let timer = null;
+  let running = false;
+
+  // Publicar un evento y marcarlo como enviado; si falla queda pendiente para la próxima pasada
+  async function pushEvent(shipment, trackingEvent) {
+    try {
+      await publishEvent(shipment, trackingEvent);
+      await markTrackingEventPushed(trackingEvent);
+      return true;
+    } catch (error) {
+      log.error('Error enviando evento de tracking a Shopify', {
+        shop: shipment.shop,
+        shipmentId: shipment.id,
+        status: trackingEvent.status,
+        error
+      });
+      return false;
+    }
+  }
+
+  // Reintentar los eventos que no se pudieron publicar en pasadas anteriores
+  async function retryUnpushedEvents() {
+    const since = new Date(Date.now() - EVENT_RETRY_MAX_AGE_MS);
+    const pending = await getUnpushedTrackingEvents(SHOPIFY_EVENT_STATUSES, since, batchSize);
+    let pushed = 0;
+
+    for (const trackingEvent of pending) {
+      if (await pushEvent(trackingEvent.Shipment, trackingEvent)) pushed++;
+    }
+
+    return { pending: pending.length, pushed };
+  }
+
+  async function checkShipment(shipment) {
+    const events = await trackingClient.getTracking(shipment.trackingNumber);
+    const lastEventAt = shipment.lastEventAt ? new Date(shipment.lastEventAt).getTime() : 0;
+
+    const newEvents = events
+      .filter(e => e.occurredAt && e.occurredAt.getTime() > lastEventAt)
+      .sort((a, b) => a.occurredAt - b.occurredAt);
+
+    for (const event of newEvents) {
+      const status = mapCorreosStatus(event.description);
+      const statusChanged = status && status !== shipment.status;
+
+      const trackingEvent = await recordTrackingEvent(shipment, {
+        ...event,
+        status: statusChanged ? status : null
+      });
+
+      if (statusChanged && shipment.fulfillmentId && SHOPIFY_EVENT_STATUSES.includes(status)) {
+        await pushEvent(shipment, trackingEvent);
+      }
+    }
+
+    await markShipmentChecked(shipment);
+    return newEvents.length;
+  }
+
+  // Una pasada sobre las guías abiertas
+  async function runOnce() {
+    if (running) return { skipped: true };
+    running = true;
+
+    const summary = { checked: 0, events: 0, errors: 0, retried: 0, stale: 0 };
+
+    try {
+      const retry = await retryUnpushedEvents();
+      summary.retried = retry.pushed;
+      summary.errors += retry.pending - retry.pushed;
+
+      const now = Date.now();
+      summary.stale = await markStaleShipments(
+        new Date(now - STALE_NO_EVENTS_MAX_AGE_MS),
+        new Date(now - STALE_LAST_EVENT_MAX_AGE_MS)
+      );
+
+      const shipments = await getOpenShipments(batchSize);
+
+      for (const shipment of shipments) {
+        try {
+          summary.events += await checkShipment(shipment);
+          summary.checked++;
+        } catch (error) {
+          summary.errors++;
+          log.error('Error consultando tracking', { shop: shipment.shop, shipmentId: shipment.id, error });
+        }
+      }
+
+      if (summary.checked > 0 || summary.retried > 0 || summary.stale > 0) {
+        log.info('Tracking actualizado', summary);
+      }
+    } finally {
+      running = false;
+    }
+
+    return summary;
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => {
+      runOnce().catch(error => log.error('Error en worker de tracking', { error }));
+    }, intervalMs);
+  }
+
+  function stop() {
+    clearInterval(timer);
+    timer = null;
+  }
+
+  return {
+    runOnce,
+    checkShipment,
+    retryUnpushedEvents,
+    start,
+    stop
+  };
+}
+
+module.exports = {
+  createTrackingWorker,
+  mapCorreosStatus,
+  pushFulfillmentEvent
+};
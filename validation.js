@@ -0,0 +1,262 @@
+// validation.js - Validación de datos que llegan del cliente (extensión / app embedded)
+
+const { resolveLocation, normalizeId } = require('./catalog');
+const { EXTENSION_KEY_SCOPES, READ_ONLY_SCOPES, parseIpRule } = require('./access-keys');
+
+// Tipos de identificación del remitente y su formato
+const IDENTIFICATION_TYPES = {
+  1: { name: 'Cédula física', pattern: /^\d{9}$/, message: 'La cédula física debe tener 9 dígitos', numeric: true },
+  2: { name: 'DIMEX', pattern: /^\d{11,12}$/, message: 'El DIMEX debe tener 11 o 12 dígitos', numeric: true },
+  3: { name: 'Pasaporte', pattern: /^[A-Z0-9]{6,20}$/, message: 'El pasaporte debe tener entre 6 y 20 letras o números', numeric: false },
+  4: { name: 'Cédula jurídica', pattern: /^\d{10}$/, message: 'La cédula jurídica debe tener 10 dígitos', numeric: true }
+};
+
+const SENDER_CONFIG_FIELDS = [
+  'senderIdentificationType',
+  'senderId',
+  'senderName',
+  'senderPhone',
+  'senderMail',
+  'provinciaSender',
+  'cantonSender',
+  'distritoSender',
+  'senderPostalCode',
+  'senderDirection'
+];
+
+// Teléfonos CR: 8 dígitos, fijos (2) o móviles (5-8), con +506 opcional
+const CR_PHONE_PATTERN = /^[245678]\d{7}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function isBlank(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+function normalizePhone(value) {
+  return String(value).replace(/[\s\-().]/g, '').replace(/^(\+?506)(?=\d{8}$)/, '');
+}
+
+// Validar la configuración de remitente.
+// Devuelve { config } normalizado o { errors: { campo: mensaje } } para mostrar en el formulario.
+function validateSenderConfig(body) {
+  const errors = {};
+  const config = {};
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: { _: 'Se esperaba un objeto con la configuración' } };
+  }
+
+  for (const field of Object.keys(body)) {
+    if (!SENDER_CONFIG_FIELDS.includes(field)) {
+      errors[field] = 'Campo no permitido';
+    }
+  }
+
+  for (const field of SENDER_CONFIG_FIELDS) {
+    if (body[field] !== undefined && body[field] !== null && typeof body[field] !== 'string' && typeof body[field] !== 'number') {
+      errors[field] = 'Debe ser texto';
+    }
+  }
+
+  // Identificación
+  const identificationType = IDENTIFICATION_TYPES[String(body.senderIdentificationType ?? '').trim()];
+  if (!identificationType) {
+    errors.senderIdentificationType = 'Tipo de identificación inválido (1=Cédula física, 2=DIMEX, 3=Pasaporte, 4=Cédula jurídica)';
+  } else {
+    config.senderIdentificationType = String(body.senderIdentificationType).trim();
+
+    if (isBlank(body.senderId)) {
+      errors.senderId = 'La identificación es requerida';
+    } else {
+      const senderId = identificationType.numeric
+        ? String(body.senderId).replace(/[\s-]/g, '')
+        : String(body.senderId).replace(/\s/g, '').toUpperCase();
+
+      if (!identificationType.pattern.test(senderId)) {
+        errors.senderId = identificationType.message;
+      } else {
+        config.senderId = senderId;
+      }
+    }
+  }
+
+  // Nombre y dirección
+  if (isBlank(body.senderName)) {
+    errors.senderName = 'El nombre es requerido';
+  } else if (String(body.senderName).trim().length > 100) {
+    errors.senderName = 'El nombre no puede tener más de 100 caracteres';
+  } else {
+    config.senderName = String(body.senderName).trim();
+  }
+
+  if (isBlank(body.senderDirection)) {
+    errors.senderDirection = 'La dirección es requerida';
+  } else if (String(body.senderDirection).trim().length > 250) {
+    errors.senderDirection = 'La dirección no puede tener más de 250 caracteres';
+  } else {
+    config.senderDirection = String(body.senderDirection).trim();
+  }
+
+  // Contacto
+  if (isBlank(body.senderPhone)) {
+    errors.senderPhone = 'El teléfono es requerido';
+  } else {
+    const phone = normalizePhone(body.senderPhone);
+    if (!CR_PHONE_PATTERN.test(phone)) {
+      errors.senderPhone = 'El teléfono debe ser un número de Costa Rica de 8 dígitos';
+    } else {
+      config.senderPhone = phone;
+    }
+  }
+
+  if (!isBlank(body.senderMail)) {
+    const mail = String(body.senderMail).trim().toLowerCase();
+    if (!EMAIL_PATTERN.test(mail)) {
+      errors.senderMail = 'Correo electrónico inválido';
+    } else {
+      config.senderMail = mail;
+    }
+  } else {
+    config.senderMail = null;
+  }
+
+  // Ubicación
+  const location = resolveLocation(body.provinciaSender, body.cantonSender, body.distritoSender);
+  if (!location) {
+    if (!normalizeId(body.provinciaSender)) errors.provinciaSender = 'Provincia requerida';
+    if (!normalizeId(body.cantonSender)) errors.cantonSender = 'Cantón requerido';
+    if (!normalizeId(body.distritoSender)) errors.distritoSender = 'Distrito requerido';
+    if (!errors.provinciaSender && !errors.cantonSender && !errors.distritoSender) {
+      errors.distritoSender = 'La combinación de provincia, cantón y distrito no existe';
+    }
+  } else {
+    config.provinciaSender = location.province.id;
+    config.cantonSender = location.canton.id;
+    config.distritoSender = location.district.id;
+
+    if (!isBlank(body.senderPostalCode) && String(body.senderPostalCode).trim() !== location.postal_code) {
+      errors.senderPostalCode = `El código postal de ese distrito es ${location.postal_code}`;
+    } else {
+      config.senderPostalCode = location.postal_code;
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  return { config };
+}
+
+// Validar un perfil de remitente: nombre + isDefault + los campos de validateSenderConfig
+function validateSenderProfile(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: { _: 'Se esperaba un objeto con el perfil' } };
+  }
+
+  const { name, isDefault, ...senderFields } = body;
+  const { config, errors = {} } = validateSenderConfig(senderFields);
+
+  if (isBlank(name)) {
+    errors.name = 'El nombre del perfil es requerido';
+  } else if (typeof name !== 'string' || name.trim().length > 60) {
+    errors.name = 'El nombre del perfil debe ser texto de máximo 60 caracteres';
+  }
+
+  if (isDefault !== undefined && typeof isDefault !== 'boolean') {
+    errors.isDefault = 'Debe ser true o false';
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  return {
+    profile: {
+      ...config,
+      name: name.trim(),
+      isDefault: Boolean(isDefault)
+    }
+  };
+}
+
+const MAX_ALLOWED_IPS = 20;
+
+// Validar las opciones de un access key nuevo: { name, scopes | readOnly, expiresAt, allowedIps }.
+// Sin scopes ni readOnly el key tiene todos los permisos.
+function validateExtensionKeyOptions(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { errors: { _: 'Se esperaba un objeto con el access key' } };
+  }
+
+  const errors = {};
+  const options = {
+    name: isBlank(body.name) ? 'Nuevo Access Key' : String(body.name).trim(),
+    scopes: EXTENSION_KEY_SCOPES,
+    expiresAt: null,
+    allowedIps: null
+  };
+
+  if (options.name.length > 100) {
+    errors.name = 'El nombre no puede tener más de 100 caracteres';
+  }
+
+  if (body.readOnly !== undefined && typeof body.readOnly !== 'boolean') {
+    errors.readOnly = 'Debe ser true o false';
+  } else if (body.readOnly && body.scopes !== undefined) {
+    errors.scopes = 'Use scopes o readOnly, no ambos';
+  } else if (body.readOnly) {
+    options.scopes = READ_ONLY_SCOPES;
+  }
+
+  if (body.scopes !== undefined && !errors.scopes) {
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) {
+      errors.scopes = 'Debe ser una lista con al menos un permiso';
+    } else {
+      const invalid = body.scopes.filter(scope => !EXTENSION_KEY_SCOPES.includes(scope));
+      if (invalid.length > 0) {
+        errors.scopes = `Permisos inválidos: ${invalid.join(', ')} (válidos: ${EXTENSION_KEY_SCOPES.join(', ')})`;
+      } else {
+        options.scopes = [...new Set(body.scopes)];
+      }
+    }
+  }
+
+  if (!isBlank(body.expiresAt)) {
+    const expiresAt = new Date(body.expiresAt);
+    if (isNaN(expiresAt)) {
+      errors.expiresAt = 'Debe ser una fecha ISO 8601';
+    } else if (expiresAt <= new Date()) {
+      errors.expiresAt = 'La fecha de expiración debe ser futura';
+    } else {
+      options.expiresAt = expiresAt;
+    }
+  }
+
+  if (body.allowedIps !== undefined && body.allowedIps !== null) {
+    if (!Array.isArray(body.allowedIps) || body.allowedIps.length > MAX_ALLOWED_IPS) {
+      errors.allowedIps = `Debe ser una lista de hasta ${MAX_ALLOWED_IPS} IPs o rangos CIDR`;
+    } else {
+      const invalid = body.allowedIps.filter(rule => !parseIpRule(rule));
+      if (invalid.length > 0) {
+        errors.allowedIps = `IPs inválidas: ${invalid.join(', ')}`;
+      } else if (body.allowedIps.length > 0) {
+        options.allowedIps = body.allowedIps.map(rule => String(rule).trim());
+      }
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  return { options };
+}
+
+module.exports = {
+  IDENTIFICATION_TYPES,
+  SENDER_CONFIG_FIELDS,
+  validateSenderConfig,
+  validateSenderProfile,
+  validateExtensionKeyOptions
+};